@@ -0,0 +1,107 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * The middleware of this package (PREP and event ID) are Connect-style
+ * functions of a Node.js request, response and `next` callback. They only rely
+ * on the APIs common to `node:http` and the `node:http2` compatibility API,
+ * so that adapters can run them in frameworks other than Express.
+ */
+
+/**
+ * The URL path of a request. Express provides it as `req.path`, otherwise it
+ * is parsed from the request URL.
+ */
+function requestPath(req) {
+  return req.path ?? new URL(req.url ?? "/", "http://localhost").pathname;
+}
+
+/**
+ * The date of a response, as in its `Date` header. The PREP middleware sets
+ * the header when it runs, so that the date is known even after the response
+ * has been sent.
+ */
+function responseDate(res) {
+  return `${res.getHeader("Date") ?? new Date().toUTCString()}`;
+}
+
+/**
+ * Wraps the `send()` function added to a response by the PREP middleware to
+ * call `onSend` when notifications are sent, so that the framework does not
+ * attempt to send a response of its own.
+ */
+function onSend(res, callback) {
+  const prep = res.events?.prep;
+  if (!prep) return;
+  const send = prep.send;
+  prep.send = function sendResponseWithNotification(options) {
+    const failStatus = send(options);
+    if (!failStatus) callback();
+    return failStatus;
+  };
+}
+
+/**
+ * Adapts a middleware for a `node:http` or `node:http2` request handler.
+ * It returns a function of the request and response that resolves once the
+ * middleware has run.
+ */
+function nodeAdapter(middleware) {
+  return function run(req, res) {
+    return new Promise((resolve) => middleware(req, res, resolve));
+  };
+}
+
+/**
+ * Adapts a middleware for Express (or Connect), which it already is.
+ */
+function expressAdapter(middleware) {
+  return middleware;
+}
+
+/**
+ * Adapts a middleware for Koa. The response functions are also available as
+ * `ctx.events` and Koa does not respond once notifications are sent.
+ * Set `ctx.status` before sending notifications.
+ */
+function koaAdapter(middleware) {
+  return async function koaMiddleware(ctx, next) {
+    await new Promise((resolve) => middleware(ctx.req, ctx.res, resolve));
+    onSend(ctx.res, () => {
+      ctx.respond = false;
+    });
+    ctx.events = ctx.res.events;
+    return next();
+  };
+}
+
+/**
+ * Adapts a middleware for Fastify, as an `onRequest` hook. The response
+ * functions are also available as `reply.events` and the reply is hijacked
+ * once notifications are sent.
+ */
+function fastifyAdapter(middleware) {
+  return function onRequest(request, reply, done) {
+    middleware(request.raw, reply.raw, () => {
+      onSend(reply.raw, () => reply.hijack());
+      reply.events = reply.raw.events;
+      done();
+    });
+  };
+}
+
+export {
+  requestPath,
+  responseDate,
+  nodeAdapter as node,
+  expressAdapter as express,
+  koaAdapter as koa,
+  fastifyAdapter as fastify,
+};
@@ -0,0 +1,321 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+import { parseDictionary, serializeList } from "structured-headers";
+import { useTry } from "no-try";
+
+import Debug from "debug";
+const debug = Debug("prep:client");
+
+/**
+ * Serializes the `Accept-Events` header for a PREP request with the media
+ * types to `accept` for notifications, the requested `duration` in seconds
+ * and any other event `fields`.
+ */
+function acceptEventsHeader({ accept, duration, fields = {} }) {
+  const params = new Map([
+    ["accept", [].concat(accept).map((type) => [type, new Map()])],
+    ...(duration ? [["duration", duration]] : []),
+    ...Object.entries(fields),
+  ]);
+  return serializeList([["prep", params]]);
+}
+
+/**
+ * Extracts the value of a parameter from a header value,
+ * for example, the `boundary` of a multipart content-type.
+ */
+function parameterOf(header, name) {
+  const match = `${header ?? ""}`.match(
+    new RegExp(`;\\s*${name}=(?:"([^"]*)"|([^;\\s]*))`, "i"),
+  );
+  return match && (match[1] ?? match[2]);
+}
+
+/**
+ * Parses header lines into an object with lowercase field names.
+ */
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of text.split("\r\n")) {
+    const index = line.indexOf(":");
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line
+        .slice(index + 1)
+        .trim();
+    }
+  }
+  return headers;
+}
+
+/**
+ * Splits a part of a multipart body into its headers and body.
+ */
+function parsePart(part) {
+  if (part.startsWith("\r\n")) {
+    return { headers: {}, body: part.slice(2) };
+  }
+  const index = part.indexOf("\r\n\r\n");
+  if (index === -1) {
+    return { headers: parseHeaders(part), body: "" };
+  }
+  return {
+    headers: parseHeaders(part.slice(0, index)),
+    body: part.slice(index + 4),
+  };
+}
+
+/**
+ * Describes a notification part as a structured object, with the fields of
+ * the notification parsed from its `message/rfc822` or JSON body.
+ */
+function parseNotification({ headers, body }) {
+  const contentType = (headers["content-type"] ?? "message/rfc822")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+
+  let fields = {};
+  if (contentType === "message/rfc822") {
+    const message = parsePart(body);
+    fields = {
+      ...message.headers,
+      ...(message.body && { delta: message.body }),
+    };
+  } else if (contentType.endsWith("json")) {
+    const [error, parsed] = useTry(() => JSON.parse(body));
+    if (error) {
+      debug("Failed to parse the notification", error);
+    } else {
+      fields = parsed;
+    }
+  }
+
+  // Activity Streams notifications are identified by the event ID
+  const eventID = fields["event-id"] ?? fields.eventID ?? fields.id;
+  return {
+    type: "notification",
+    contentType,
+    headers,
+    body,
+    ...(fields.method && { method: fields.method }),
+    ...(fields.date && { date: fields.date }),
+    ...(eventID && { eventID }),
+    ...((fields.etag ?? fields.eTag) && { eTag: fields.etag ?? fields.eTag }),
+    ...(fields.location && { location: fields.location }),
+    ...(fields.resource && { resource: fields.resource }),
+    ...(fields.delta && { delta: fields.delta }),
+    ...(fields.status && { status: fields.status }),
+    ...(fields.reason && { reason: fields.reason }),
+    ...(fields.expires && { expires: fields.expires }),
+    ...(fields.subscription && { subscription: fields.subscription }),
+  };
+}
+
+/**
+ * Parses a stream of text chunks of a `multipart/mixed` PREP response with
+ * the given `boundary`. It yields the representation part, followed by each
+ * notification in the `multipart/digest` part. Heartbeats are skipped.
+ */
+async function* parseMultipart(chunks, boundary) {
+  let buffer = "";
+  let state = "preamble";
+  let digestBoundary;
+
+  /**
+   * Removes the text up to the `delimiter` from the buffer and returns it,
+   * if the buffer contains the delimiter.
+   */
+  function take(delimiter) {
+    const index = buffer.indexOf(delimiter);
+    if (index === -1) return;
+    const text = buffer.slice(0, index);
+    buffer = buffer.slice(index + delimiter.length);
+    return text;
+  }
+
+  for await (const chunk of chunks) {
+    buffer += chunk;
+    let text;
+    for (;;) {
+      if (state === "preamble") {
+        if (take(`--${boundary}\r\n`) === undefined) break;
+        state = "representation";
+      } else if (state === "representation") {
+        if ((text = take(`\r\n--${boundary}\r\n`)) === undefined) break;
+        yield { type: "representation", ...parsePart(text) };
+        state = "digest";
+      } else if (state === "digest") {
+        if ((text = take("\r\n\r\n")) === undefined) break;
+        digestBoundary = parameterOf(
+          parseHeaders(text)["content-type"],
+          "boundary",
+        );
+        state = "digest-preamble";
+      } else if (state === "digest-preamble") {
+        if (take(`--${digestBoundary}`) === undefined) break;
+        state = "delimiter";
+      } else if (state === "delimiter") {
+        if (buffer.length < 2) break;
+        if (buffer.startsWith("--")) return;
+        buffer = buffer.slice(2);
+        state = "notification";
+      } else if (state === "notification") {
+        if ((text = take(`\r\n--${digestBoundary}`)) === undefined) break;
+        const part = parsePart(text);
+        if (Object.keys(part.headers).length || part.body.trim()) {
+          yield parseNotification(part);
+        }
+        state = "delimiter";
+      }
+    }
+  }
+}
+
+/**
+ * Reads the body of a fetch response as text chunks.
+ */
+async function* textChunks(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      yield decoder.decode(value, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * The reasons for which the server ends a stream, after which the client does
+ * not reconnect.
+ */
+const FINAL_REASONS = ["deleted", "revoked"];
+
+/**
+ * Waits for a number of seconds, unless aborted.
+ */
+function wait(seconds, signal) {
+  return new Promise((resolve) => {
+    const timeoutID = setTimeout(resolve, seconds * 1000);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timeoutID);
+        resolve();
+      },
+      { once: true },
+    );
+  });
+}
+
+/**
+ * Subscribes to the notifications of a resource at the `url`, using `fetch`
+ * (in Node.js or the browser). It sends an `Accept-Events` header requesting
+ * notifications in the media types to `accept`, for a `duration` and with
+ * any other event `fields`, along with any other request `headers`.
+ *
+ * It yields the representation, with the parsed `Events` response header,
+ * followed by each notification. When the stream ends, say, on expiry, it
+ * reconnects after `retry` seconds with the `Last-Event-ID` of the last
+ * notification, unless the resource was deleted, access was revoked,
+ * `reconnect` is `false` or the request is aborted with the `signal`. If the
+ * resource was moved, it reconnects to its new location (given by the `MOVE`
+ * notification or the end of the stream). The representation
+ * is only yielded again, if it has changed since.
+ */
+async function* subscribe(
+  url,
+  {
+    accept = "message/rfc822",
+    duration,
+    fields,
+    headers = {},
+    lastEventID,
+    reconnect = true,
+    retry = 1,
+    signal,
+    fetch = globalThis.fetch,
+  } = {},
+) {
+  const acceptEvents = acceptEventsHeader({ accept, duration, fields });
+
+  for (let reconnecting = false; ; reconnecting = true) {
+    const response = await fetch(url, {
+      headers: {
+        ...headers,
+        "Accept-Events": acceptEvents,
+        ...(lastEventID && { "Last-Event-ID": lastEventID }),
+      },
+      signal,
+    });
+
+    const [error, events] = useTry(() =>
+      parseDictionary(response.headers.get("events") ?? ""),
+    );
+    if (error) {
+      debug(`Failed to parse the Events header from ${url}`, error);
+    }
+
+    const boundary = parameterOf(
+      response.headers.get("content-type"),
+      "boundary",
+    );
+
+    // The server did not send notifications
+    if (events?.get("status")?.[0] !== 200 || !boundary) {
+      debug(`Notifications are not available from ${url}`);
+      yield {
+        type: "representation",
+        response,
+        events,
+        headers: Object.fromEntries(response.headers),
+        body: await response.text(),
+      };
+      return;
+    }
+
+    let final = false;
+    const parts = parseMultipart(textChunks(response.body), boundary);
+    for await (const part of parts) {
+      if (part.type === "representation") {
+        // The server skips the representation if it has not changed
+        if (reconnecting && !part.body) continue;
+        yield { ...part, response, events };
+      } else {
+        lastEventID = part.eventID ?? lastEventID;
+        // The server states why it ended the stream in the last notification
+        final =
+          part.status === "closed" ?
+            final || FINAL_REASONS.includes(part.reason)
+          : part.method?.toUpperCase() === "DELETE";
+        // Follow the resource to its new location, if it was moved, even if
+        // the stream carries on with the subscription migrated to it
+        const moved =
+          part.reason === "moved" ||
+          (part.method?.toUpperCase() === "MOVE" && !part.resource);
+        if (moved && part.location) {
+          url = new URL(part.location, url).href;
+        }
+        yield part;
+      }
+    }
+
+    if (final || !reconnect || signal?.aborted) return;
+
+    debug(`Reconnecting to ${url} in ${retry} seconds`);
+    await wait(retry, signal);
+    if (signal?.aborted) return;
+  }
+}
+
+export { subscribe };
@@ -0,0 +1,103 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+import stream from "node:stream";
+import zlib from "node:zlib";
+
+/**
+ * The supported content-codings, in order of preference, with a function to
+ * create a compressor for each.
+ */
+const COMPRESSORS = {
+  br: () => zlib.createBrotliCompress(),
+  gzip: () => zlib.createGzip(),
+  deflate: () => zlib.createDeflate(),
+};
+
+/**
+ * The functions that encode a single body with each supported content-coding.
+ */
+const ENCODERS = {
+  br: zlib.brotliCompressSync,
+  gzip: zlib.gzipSync,
+  deflate: zlib.deflateSync,
+};
+
+/**
+ * Encodes the `body` of a notification with the `encoding`, if it is
+ * supported, otherwise returns it as is.
+ */
+function encodeBody(encoding, body) {
+  const encoder = ENCODERS[`${encoding}`.toLowerCase()];
+  return encoder ? encoder(body) : body;
+}
+
+/**
+ * Selects the content-coding with the highest quality value in the
+ * `Accept-Encoding` header from the given `encodings`, preferring earlier
+ * encodings on a tie. Returns nothing if none is acceptable.
+ */
+function negotiateEncoding(
+  acceptEncoding,
+  encodings = Object.keys(COMPRESSORS),
+) {
+  const ranges = new Map();
+  for (const range of `${acceptEncoding ?? ""}`.split(",")) {
+    const [coding, ...params] = range.split(";").map((s) => s.trim());
+    if (!coding) continue;
+    const q = params.find((param) => /^q=/i.test(param));
+    ranges.set(coding.toLowerCase(), q ? Number(q.slice(2)) || 0 : 1);
+  }
+
+  let selected;
+  let quality = 0;
+  for (const encoding of encodings) {
+    if (!COMPRESSORS[encoding]) continue;
+    const q = ranges.get(encoding) ?? ranges.get("*") ?? 0;
+    if (q > quality) {
+      selected = encoding;
+      quality = q;
+    }
+  }
+  return selected;
+}
+
+/**
+ * Creates a compressor for the `encoding` that flushes after every chunk
+ * written to its `input`, so that each notification and heartbeat reaches the
+ * client as soon as it is written. The compressed data is read from `output`.
+ */
+function createCompressor(encoding) {
+  const output = COMPRESSORS[encoding]();
+
+  const input = new stream.Writable({
+    write(chunk, _, callback) {
+      output.write(chunk);
+      output.flush(() => callback());
+    },
+    final(callback) {
+      output.end(callback);
+    },
+  });
+
+  return Object.freeze({
+    input,
+    output,
+    destroy() {
+      input.destroy();
+      output.destroy();
+    },
+  });
+}
+
+export {
+  negotiateEncoding as negotiate,
+  createCompressor as compressor,
+  encodeBody as encode,
+};
@@ -0,0 +1,168 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+import { createTwoFilesPatch, FILE_HEADERS_ONLY } from "diff";
+import _ from "lodash";
+import { useTry } from "no-try";
+
+import Debug from "debug";
+const debug = Debug("prep:deltas");
+
+/**
+ * A delta generator takes the `previous` and `current` representations of a
+ * resource and returns the changes between them, serialized in its format.
+ */
+
+/**
+ * Generates a unified diff (`text/plain`) between two text representations,
+ * labelled with the `path` of the resource.
+ */
+function textDelta({ previous = "", current = "", path = "" }) {
+  return createTwoFilesPatch(
+    path,
+    path,
+    `${previous}`,
+    `${current}`,
+    undefined,
+    undefined,
+    { headerOptions: FILE_HEADERS_ONLY },
+  );
+}
+
+/**
+ * Parses a JSON representation, unless it is already parsed.
+ */
+function parseJSON(representation) {
+  return typeof representation === "string" ?
+      JSON.parse(representation)
+    : representation;
+}
+
+/**
+ * Escapes a key for use in a JSON Pointer.
+ */
+function escapePointer(key) {
+  return `${key}`.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Lists the JSON Patch operations that change the `source` value at the
+ * `pointer` into the `target` value.
+ */
+function diffJSON(source, target, pointer = "") {
+  if (_.isEqual(source, target)) return [];
+
+  if (Array.isArray(source) && Array.isArray(target)) {
+    const common = Math.min(source.length, target.length);
+    const operations = [];
+    for (let i = 0; i < common; i++) {
+      operations.push(...diffJSON(source[i], target[i], `${pointer}/${i}`));
+    }
+    // Remove from the end, so that the indices remain valid
+    for (let i = source.length - 1; i >= common; i--) {
+      operations.push({ op: "remove", path: `${pointer}/${i}` });
+    }
+    for (let i = common; i < target.length; i++) {
+      operations.push({ op: "add", path: `${pointer}/${i}`, value: target[i] });
+    }
+    return operations;
+  }
+
+  if (_.isPlainObject(source) && _.isPlainObject(target)) {
+    const operations = [];
+    for (const key of Object.keys(source)) {
+      const path = `${pointer}/${escapePointer(key)}`;
+      if (!Object.hasOwn(target, key)) {
+        operations.push({ op: "remove", path });
+      } else {
+        operations.push(...diffJSON(source[key], target[key], path));
+      }
+    }
+    for (const key of Object.keys(target)) {
+      if (!Object.hasOwn(source, key)) {
+        const path = `${pointer}/${escapePointer(key)}`;
+        operations.push({ op: "add", path, value: target[key] });
+      }
+    }
+    return operations;
+  }
+
+  return [{ op: "replace", path: pointer, value: target }];
+}
+
+/**
+ * Generates a JSON Patch (`application/json-patch+json`, RFC 6902) between
+ * two JSON representations.
+ */
+function jsonPatchDelta({ previous, current }) {
+  return JSON.stringify(diffJSON(parseJSON(previous), parseJSON(current)));
+}
+
+/**
+ * Lists the changes in the `target` value from the `source` value as a JSON
+ * Merge Patch. Since `null` removes a member, members set to `null` cannot
+ * be represented.
+ */
+function diffMerge(source, target) {
+  if (!_.isPlainObject(source) || !_.isPlainObject(target)) return target;
+
+  const patch = {};
+  for (const key of Object.keys(source)) {
+    if (!Object.hasOwn(target, key)) {
+      patch[key] = null;
+    } else if (!_.isEqual(source[key], target[key])) {
+      patch[key] = diffMerge(source[key], target[key]);
+    }
+  }
+  for (const key of Object.keys(target)) {
+    if (!Object.hasOwn(source, key)) {
+      patch[key] = target[key];
+    }
+  }
+  return patch;
+}
+
+/**
+ * Generates a JSON Merge Patch (`application/merge-patch+json`, RFC 7396)
+ * between two JSON representations.
+ */
+function mergePatchDelta({ previous, current }) {
+  return JSON.stringify(diffMerge(parseJSON(previous), parseJSON(current)));
+}
+
+/**
+ * The delta generators for each delta media-type.
+ */
+const DELTAS = {
+  "text/plain": textDelta,
+  "application/json-patch+json": jsonPatchDelta,
+  "application/merge-patch+json": mergePatchDelta,
+};
+
+/**
+ * Generates the delta of the given media-`type` between the `previous` and
+ * `current` representations. Returns nothing if the type is not supported or
+ * the representations cannot be compared.
+ */
+function generateDelta(type, { previous, current, path } = {}) {
+  const delta = DELTAS[`${type ?? ""}`.toLowerCase()];
+  if (!delta || current === undefined) return;
+  const [error, result] = useTry(() => delta({ previous, current, path }));
+  if (error) {
+    debug(`Failed to generate a ${type} delta for ${path}`, error);
+  }
+  return result;
+}
+
+export {
+  textDelta as text,
+  jsonPatchDelta as jsonPatch,
+  mergePatchDelta as mergePatch,
+  generateDelta as generate,
+};
@@ -9,6 +9,8 @@
  */
 import { EventEmitter } from "node:events";
 import _ from "lodash";
+import cryptoRandomString from "crypto-random-string";
+import { notification as notificationTemplate } from "./templates.js";
 
 import Debug from "debug";
 
@@ -22,24 +24,124 @@ function defaultComparator(storedFields, receivedFields) {
   return _.isEqual(storedFields, receivedFields);
 }
 
+/**
+ * The `defaultGenerator` function generates notifications for events received
+ * from other engines. Since functions cannot be sent over a transport, it
+ * generates the default notification from the serializable event `data`.
+ * Notifications for descendants of a subscribed container carry the path of
+ * the descendant as the `resource`.
+ */
+function defaultGenerator(
+  negotiatedFields,
+  data,
+  { path, subscribedPath } = {},
+) {
+  return (
+    data?.method &&
+    notificationTemplate(negotiatedFields, { ...data, path, subscribedPath })
+  );
+}
+
+/**
+ * Lists the containers of a URL path, that is, the ancestor paths ending
+ * with a `/`, starting with the closest.
+ */
+function containersOf(path) {
+  const containers = [];
+  let end = path.endsWith("/") ? path.length - 1 : path.length;
+  while (end > 0) {
+    end = path.lastIndexOf("/", end - 1);
+    if (end < 0) break;
+    containers.push(path.slice(0, end + 1));
+  }
+  return containers;
+}
+
 /**
  * A factory function that creates an instance of a
  * Events Engine for notifications. It can optionally be configured with
  * a `comparator` function that modifies how the stored negotiated fields are
  * matched to received fields.
+ *
+ * Given a `transport`, notifications are also published on it, so that they
+ * reach subscribers of engines in other processes. These notifications are
+ * generated with `generateNotification` from event data. By default, there is
+ * none and notifications only reach the subscribers of this engine.
+ *
+ * The engine can also keep a `history` of the last `size` events on each URL
+ * path, for up to `age` seconds, to replay notifications missed by a client,
+ * which are also generated from the event data.
+ * It is disabled by default.
+ *
+ * In `hierarchical` mode, subscribers of a container path (ending with a `/`)
+ * are also notified of events on all the resources beneath it.
  */
-function EventsFactory({ comparator = defaultComparator } = {}) {
+function EventsFactory({
+  comparator = defaultComparator,
+  transport,
+  generateNotification: generateRemoteNotification = defaultGenerator,
+  history: { size: historySize = 0, age: historyAge = 600 } = {},
+  hierarchical = false,
+} = {}) {
+  /**
+   * Identifies messages published by this engine on the transport.
+   */
+  const origin = cryptoRandomString({ length: 16, type: "alphanumeric" });
+
   /**
    * The `list` Map stores separate event handlers for each negotiated fields
    * combination for notifications sent from a given URL path.
    */
   const list = new Map();
 
+  /**
+   * The `histories` Map stores the recent events for a given URL path, oldest
+   * first, so that missed notifications can be generated again.
+   */
+  const histories = new Map();
+
+  /**
+   * Periodically removes expired events from all histories.
+   */
+  let sweepIntervalID;
+
+  /**
+   * The `subscriptions` Map stores the details of each subscription, keyed by
+   * its notification handler, for introspection.
+   */
+  const subscriptions = new Map();
+
+  /**
+   * Emits lifecycle events: `subscribed`, `renewed`, `migrated`,
+   * `unsubscribed`, `expired` and `notified`.
+   */
+  const lifecycle = new EventEmitter();
+
   /**
    * Registers notification handlers for each URL path and runs them upon
-   * notification events.
+   * notification events. The time a subscription `expires` can be recorded
+   * for introspection. A `filter` function can restrict the events that are
+   * notified to the subscriber, given the `path`, `subscribedPath`, `eventID`
+   * and `data` of each event. The `endHandler` is called with the path the
+   * resource `movedTo`, if any, on the last event, and the `moveHandler` with
+   * the new path, if the subscription is migrated. Returns a function that
+   * removes the subscription, optionally with the `reason` for its removal.
    */
-  function subscribe({ path, negotiatedFields, handler, endHandler }) {
+  function subscribe({
+    path,
+    negotiatedFields,
+    handler,
+    endHandler,
+    moveHandler = () => {},
+    expires,
+    filter,
+  }) {
+    const listener =
+      filter ?
+        (notification, lastEvent, eventID, event) =>
+          filter(event) && handler(notification, lastEvent, eventID)
+      : handler;
+
     if (!list.has(path)) {
       debug(`creating new URL path ${path}`);
       list.set(path, new Map());
@@ -65,46 +167,333 @@ function EventsFactory({ comparator = defaultComparator } = {}) {
     list
       .get(path)
       .get(fields)
-      .on("notification", handler)
-      .on("end", endHandler);
+      .on("notification", listener)
+      .on("end", endHandler)
+      .on("move", moveHandler);
+
+    const subscription = {
+      path,
+      negotiatedFields: fields,
+      connectedAt: new Date(),
+      ...(expires && { expires }),
+    };
+    subscriptions.set(handler, subscription);
+    lifecycle.emit("subscribed", { ...subscription });
 
-    return () => {
+    return ({ reason } = {}) => {
       return removeHandlers({
         path,
         negotiatedFields: fields,
         handler,
+        listener,
         endHandler,
+        moveHandler,
+        reason,
       });
     };
   }
 
   /**
-   * Sends the notifications to all subscribers of a specific URL path.
+   * Records the new time a subscription, identified by its notification
+   * `handler`, `expires` once it is renewed.
    */
-  function notify({ path, generateNotification, lastEvent }) {
-    if (!list.has(path)) {
-      debug(`The URL path ${path} has not been subscribed for Notifications`);
-      return;
+  function renew({ handler, expires }) {
+    const subscription = subscriptions.get(handler);
+    if (!subscription) return;
+    subscription.expires = expires;
+    lifecycle.emit("renewed", { ...subscription });
+  }
+
+  /**
+   * Sends the notifications to all subscribers of a specific URL path,
+   * including subscribers of other engines listening on the transport.
+   */
+  function notify({
+    path,
+    generateNotification,
+    lastEvent,
+    eventID,
+    data,
+    movedTo,
+    migrate,
+  }) {
+    dispatch({
+      path,
+      generateNotification,
+      lastEvent,
+      eventID,
+      data,
+      movedTo,
+      migrate,
+    });
+
+    if (!transport) return;
+    new Promise((resolve) =>
+      resolve(
+        transport.publish({
+          origin,
+          path,
+          lastEvent,
+          eventID,
+          data,
+          ...(movedTo && { movedTo, migrate: !!migrate }),
+        }),
+      ),
+    ).catch((error) => {
+      debug(`Failed to publish notification for URL path ${path}`, error);
+    });
+  }
+
+  /**
+   * Handles notifications published on the transport by other engines.
+   */
+  function receive({
+    origin: source,
+    path,
+    lastEvent,
+    eventID,
+    data,
+    movedTo,
+    migrate,
+  } = {}) {
+    if (source === origin || !path) return;
+    debug(`Received notification from engine ${source}`);
+    dispatch({
+      path,
+      generateNotification: (negotiatedFields, context) =>
+        generateRemoteNotification(negotiatedFields, data, context),
+      lastEvent,
+      eventID,
+      data,
+      movedTo,
+      migrate,
+    });
+  }
+
+  transport?.subscribe(receive);
+
+  /**
+   * Lists the URL paths whose subscribers are notified of an event on a path,
+   * that is, the path itself and, in hierarchical mode, its containers.
+   */
+  function subscribedPathsOf(path) {
+    return hierarchical ? [path, ...containersOf(path)] : [path];
+  }
+
+  /**
+   * Sends the notifications to all local subscribers of a specific URL path.
+   * The notification generator gets the path of the event and the path
+   * subscribed to, which differ for subscribers of a container.
+   * The last event only ends the subscriptions on the path itself, unless the
+   * resource `movedTo` another path and its subscriptions are to `migrate`.
+   */
+  function dispatch({
+    path,
+    generateNotification,
+    lastEvent,
+    eventID,
+    data,
+    movedTo,
+    migrate,
+  }) {
+    record({ path, lastEvent, eventID, data });
+
+    for (const subscribedPath of subscribedPathsOf(path)) {
+      if (!list.has(subscribedPath)) {
+        debug(
+          `The URL path ${subscribedPath} has not been subscribed for Notifications`,
+        );
+        continue;
+      }
+      debug(
+        `Triggering notifications for ${path} on URL path ${subscribedPath}`,
+      );
+      const isLastEvent = lastEvent && subscribedPath === path;
+      let subscribers = 0;
+      list.get(subscribedPath).forEach((event, negotiatedFields) => {
+        subscribers += event.listenerCount("notification");
+        const notification = generateNotification(negotiatedFields, {
+          path,
+          subscribedPath,
+        });
+        if (notification) {
+          event.emit("notification", notification, isLastEvent, eventID, {
+            path,
+            subscribedPath,
+            eventID,
+            data,
+          });
+        }
+        if (isLastEvent && !(movedTo && migrate)) {
+          event.emit("end", { movedTo });
+        }
+      });
+      lifecycle.emit("notified", {
+        path,
+        subscribedPath,
+        ...(eventID && { eventID }),
+        lastEvent: !!isLastEvent,
+        subscribers,
+      });
+    }
+
+    if (lastEvent && movedTo && migrate) {
+      migrateSubscriptions({ from: path, to: movedTo });
     }
-    debug(`Triggering notifications on URL path ${path}`);
-    list.get(path).forEach((event, negotiatedFields) => {
-      const notification = generateNotification(negotiatedFields);
-      if (notification) {
-        event.emit("notification", notification, lastEvent);
+  }
+
+  /**
+   * Moves the subscriptions on a URL path to another path, instead of ending
+   * them, for example, when the resource is moved. Subscribers with the same
+   * negotiated fields as those on the other path share their handlers.
+   * Returns the number of subscriptions migrated.
+   */
+  function migrateSubscriptions({ from, to }) {
+    const fieldMap = list.get(from);
+    if (!fieldMap || from === to) return 0;
+
+    debug(`Migrating subscriptions from URL path ${from} to ${to}`);
+    list.delete(from);
+    if (!list.has(to)) {
+      list.set(to, new Map());
+    }
+    const target = list.get(to);
+
+    // The negotiated fields on the other path that replace those migrated
+    const replaced = new Map();
+    fieldMap.forEach((emitter, fields) => {
+      emitter.emit("move", to);
+      const match = [...target.keys()].find((value) =>
+        comparator(value, fields),
+      );
+      if (!match) {
+        target.set(fields, emitter);
+        return;
       }
-      if (lastEvent) {
-        event.emit("end");
+      replaced.set(fields, match);
+      for (const name of ["notification", "end", "move"]) {
+        emitter
+          .rawListeners(name)
+          .forEach((listener) => target.get(match).on(name, listener));
       }
+      emitter.removeAllListeners();
     });
+
+    let migrated = 0;
+    subscriptions.forEach((subscription) => {
+      if (subscription.path !== from) return;
+      subscription.path = to;
+      subscription.negotiatedFields =
+        replaced.get(subscription.negotiatedFields) ??
+        subscription.negotiatedFields;
+      lifecycle.emit("migrated", { ...subscription, from });
+      migrated++;
+    });
+    return migrated;
   }
 
   /**
-   * Removes the event handlers associated with a specific subscription.
+   * Adds an event to the history of a URL path (and, in hierarchical mode,
+   * its containers), discarding the oldest events beyond the configured size.
+   * Only the serializable event `data` is kept, so that the history does not
+   * hold on to the request the event was triggered in.
    */
-  function removeHandlers({ path, negotiatedFields, handler, endHandler }) {
+  function record({ path, lastEvent, eventID, data }) {
+    if (!historySize) return;
+
+    for (const subscribedPath of subscribedPathsOf(path)) {
+      const events = prune(subscribedPath) ?? [];
+      events.push({
+        time: Date.now(),
+        path,
+        lastEvent,
+        eventID,
+        data,
+      });
+      if (events.length > historySize) {
+        events.splice(0, events.length - historySize);
+      }
+      histories.set(subscribedPath, events);
+    }
+
+    sweepIntervalID ??= setInterval(() => {
+      histories.forEach((_events, path) => prune(path));
+    }, historyAge * 1000).unref();
+  }
+
+  /**
+   * Removes events older than the configured age from the history of a URL
+   * path and returns the remaining events.
+   */
+  function prune(path) {
+    const events = histories.get(path);
+    if (!events) return;
+
+    const since = Date.now() - historyAge * 1000;
+    const index = events.findIndex(({ time }) => time >= since);
+    if (index === -1) {
+      histories.delete(path);
+      return;
+    }
+    events.splice(0, index);
+    return events;
+  }
+
+  /**
+   * Finds the events on a URL path that occurred after the event identified by
+   * `lastEventID`. Returns `undefined`, if the event is not in the history.
+   */
+  function missed({ path, lastEventID }) {
+    const events = prune(path);
+    const index =
+      lastEventID ?
+        (events?.findLastIndex(({ eventID }) => eventID === lastEventID) ?? -1)
+      : -1;
+    if (index === -1) return;
+
+    debug(`Found ${events.length - index - 1} missed events on ${path}`);
+    return events.slice(index + 1).map((event) => ({
+      generateNotification: (negotiatedFields) =>
+        generateRemoteNotification(negotiatedFields, event.data, {
+          path: event.path,
+          subscribedPath: path,
+        }),
+      lastEvent: event.lastEvent && event.path === path,
+      eventID: event.eventID,
+      path: event.path,
+      data: event.data,
+    }));
+  }
+
+  /**
+   * Removes the event handlers associated with a specific subscription,
+   * on the path it has been migrated to, if any.
+   */
+  function removeHandlers({
+    handler,
+    listener = handler,
+    endHandler,
+    moveHandler,
+    reason,
+    ...subscribed
+  }) {
+    const subscription = subscriptions.get(handler);
+    const { path, negotiatedFields } = subscription ?? subscribed;
+    if (subscription) {
+      subscriptions.delete(handler);
+      const details = { ...subscription, ...(reason && { reason }) };
+      lifecycle.emit("unsubscribed", details);
+      if (reason === "expired") {
+        lifecycle.emit("expired", details);
+      }
+    }
+
     const fieldMap = list.get(path);
     const emitter = fieldMap?.get(negotiatedFields);
-    emitter?.off("notification", handler).off("end", endHandler);
+    emitter
+      ?.off("notification", listener)
+      .off("end", endHandler)
+      .off("move", moveHandler);
 
     if (emitter?.listenerCount("notification") === 0) {
       fieldMap?.delete(negotiatedFields);
@@ -115,13 +504,75 @@ function EventsFactory({ comparator = defaultComparator } = {}) {
   }
 
   /**
-   * Each Instance of the Engine provides a way to notify events and
-   * a way to subscribe to receive these events.
+   * Lists the URL paths with active subscriptions.
+   */
+  function paths() {
+    return [...list.keys()];
+  }
+
+  /**
+   * Describes the active subscriptions on each URL path (or a given `path`),
+   * with the number of subscribers in total and for each content-type, and
+   * the age (in seconds) and expiry of each subscription.
    */
-  return Object.freeze({
+  function inspect({ path } = {}) {
+    const now = Date.now();
+    return (path ? [path] : paths())
+      .filter((p) => list.has(p))
+      .map((p) => {
+        const details = [...subscriptions.values()]
+          .filter((subscription) => subscription.path === p)
+          .map(({ negotiatedFields, connectedAt, expires }) => ({
+            contentType: `${negotiatedFields["content-type"]?.[0] ?? ""}`,
+            negotiatedFields,
+            connectedAt,
+            age: (now - connectedAt.getTime()) / 1000,
+            ...(expires && { expires }),
+          }));
+        return {
+          path: p,
+          subscribers: details.length,
+          contentTypes: _.countBy(details, "contentType"),
+          subscriptions: details,
+        };
+      });
+  }
+
+  /**
+   * Adds a listener for lifecycle events.
+   */
+  function on(eventName, listener) {
+    lifecycle.on(eventName, listener);
+    return engine;
+  }
+
+  /**
+   * Removes a listener for lifecycle events.
+   */
+  function off(eventName, listener) {
+    lifecycle.off(eventName, listener);
+    return engine;
+  }
+
+  /**
+   * Each Instance of the Engine provides a way to notify events,
+   * a way to subscribe to receive these events,
+   * a way to find events missed by a subscriber and
+   * ways to inspect subscriptions and listen to their lifecycle.
+   */
+  const engine = Object.freeze({
     subscribe,
+    renew,
+    migrate: migrateSubscriptions,
     notify,
+    missed,
+    paths,
+    inspect,
+    on,
+    off,
   });
+
+  return engine;
 }
 
 export default EventsFactory;
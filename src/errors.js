@@ -0,0 +1,41 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * Replaces characters that cannot be serialized in a structured field string.
+ */
+function printable(text) {
+  return `${text}`.replace(/[^\x20-\x7E]+/g, " ").trim();
+}
+
+/**
+ * The error returned, rather than thrown, when notifications cannot be
+ * configured, sent or renewed, and reported when a stream fails. Besides the
+ * HTTP `status`, it carries a `reason` code and a human-readable `detail`,
+ * along with any other `fields`. Its enumerable fields are those of the
+ * `Events` response header, so that it can be serialized as one with
+ * `serializeDictionary()` from `structured-headers`.
+ */
+class PrepError extends Error {
+  constructor({ status, reason, detail = reason, cause, ...fields }) {
+    super(printable(detail), cause && { cause });
+    this.protocol = "prep";
+    this.status = status;
+    this.reason = reason;
+    this.detail = this.message;
+    Object.assign(this, fields);
+  }
+
+  get name() {
+    return "PrepError";
+  }
+}
+
+export { PrepError };
@@ -8,48 +8,114 @@
  *  SPDX-License-Identifier: MPL-2.0
  */
 import cryptoRandomString from "crypto-random-string";
+import { requestPath } from "./adapters.js";
+import { memory as memoryStore } from "./stores.js";
+import { useTry } from "no-try";
 
-/**
- * Stores the last event ID for each URL for which a mutation request is made.
- * A simple memory storage will suffice here, though one may want to persist
- * and deduplicate IDs in a production environment.
- */
-const lastEventIDs = {};
+import Debug from "debug";
+const debug = Debug("prep:event-id");
 
 /**
- * A middleware function that provides a way to set and retrieve a unique
- * event ID for each request.
+ * A factory function that creates an instance of the event ID middleware.
+ * It stores the last event ID for each URL for which a mutation request is
+ * made in the given `store` (by default, in memory), optionally expiring them
+ * after `ttl` seconds. Stores may be asynchronous, in which case the last
+ * event ID is retrieved before calling the next middleware.
  */
-function eventID(req, res, next) {
+function createEventID({ store = memoryStore(), ttl } = {}) {
   /**
-   * Sets a unique event ID for the last event on a given URL.
+   * Runs a store operation, logging failures instead of throwing them.
    */
-  res.setEventID = function setEventID(args) {
-    let path, lastEventID;
-    if (typeof args === "object") {
-      path = args.path;
-      lastEventID = args.id;
-    } else {
-      path = args;
-    }
-    path = path ?? req.path;
-    lastEventID =
-      lastEventID ?? cryptoRandomString({ length: 6, type: "alphanumeric" });
-    lastEventIDs[path] = lastEventID;
-    return lastEventID;
-  };
+  function update(operation, path) {
+    new Promise((resolve) => resolve(operation())).catch((error) => {
+      debug(`Failed to update the last event ID for ${path}`, error);
+    });
+  }
 
   /**
-   * Retrieves the last event ID generated for the last request that modified
-   * the resource on the URL.
+   * A middleware function that provides a way to set and retrieve a unique
+   * event ID for each request.
    */
-  Object.defineProperty(res, "lastEventID", {
-    get() {
-      return lastEventIDs[req.path];
-    },
-  });
+  function eventID(req, res, next) {
+    /**
+     * The URL path of the request.
+     */
+    const reqPath = requestPath(req);
+
+    /**
+     * The last event ID for the URL of the request.
+     */
+    let lastEventID;
+
+    /**
+     * Sets a unique event ID for the last event on a given URL.
+     */
+    res.setEventID = function setEventID(args) {
+      let path, id;
+      if (typeof args === "object") {
+        path = args.path;
+        id = args.id;
+      } else {
+        path = args;
+      }
+      path = path ?? reqPath;
+      id = id ?? cryptoRandomString({ length: 6, type: "alphanumeric" });
+      if (path === reqPath) {
+        lastEventID = id;
+      }
+      update(() => store.set(path, id, ttl && { ttl }), path);
+      return id;
+    };
 
-  return next && next();
+    /**
+     * Removes the event ID for the last event on a given URL, for example,
+     * when the resource is deleted.
+     */
+    res.deleteEventID = function deleteEventID(path = reqPath) {
+      if (path === reqPath) {
+        lastEventID = undefined;
+      }
+      update(() => store.delete(path), path);
+    };
+
+    /**
+     * Retrieves the last event ID generated for the last request that modified
+     * the resource on the URL.
+     */
+    Object.defineProperty(res, "lastEventID", {
+      get() {
+        return lastEventID;
+      },
+    });
+
+    function setLastEventID(id) {
+      lastEventID = id ?? undefined;
+    }
+
+    function failed(error) {
+      debug(`Failed to retrieve the last event ID for ${reqPath}`, error);
+    }
+
+    const [error, result] = useTry(() => store.get(reqPath));
+    if (error) {
+      failed(error);
+    }
+
+    if (typeof result?.then === "function") {
+      return result.then(setLastEventID, failed).then(() => next && next());
+    }
+
+    setLastEventID(result);
+    return next && next();
+  }
+
+  return eventID;
 }
 
+/**
+ * An instance of the event ID middleware that stores event IDs in memory.
+ */
+const eventID = createEventID();
+
 export default eventID;
+export { createEventID };
@@ -0,0 +1,52 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * A filter lets a client restrict the notifications it receives with the
+ * event-field of the same name in the `Accept-Events` request header.
+ * It is an object with:
+ *  + `negotiate(requested, configured)` - returns the accepted value of the
+ *    event-field, given the requested value and the value configured for the
+ *    route, or nothing if the filter cannot be applied.
+ *  + `match(accepted, event)` - checks if an event, with its `path`,
+ *    `subscribedPath`, `eventID` and `data`, is to be notified.
+ */
+
+/**
+ * Lists the items of an event-field, which can be a single item.
+ */
+function itemsOf(value) {
+  return Array.isArray(value) ? value : [[value, new Map()]];
+}
+
+/**
+ * A filter that notifies only events with one of the requested methods that
+ * are also configured for the route, for example, `methods=(PATCH DELETE)`.
+ */
+function methodsFilter() {
+  return Object.freeze({
+    negotiate(requested, configured) {
+      const allowed = new Set(
+        itemsOf(configured).map(([method]) => `${method}`.toUpperCase()),
+      );
+      const accepted = itemsOf(requested).filter(([method]) =>
+        allowed.has(`${method}`.toUpperCase()),
+      );
+      return accepted.length ? accepted : undefined;
+    },
+
+    match(accepted, { data }) {
+      const method = `${data?.method ?? ""}`.toUpperCase();
+      return accepted.some(([item]) => `${item}`.toUpperCase() === method);
+    },
+  });
+}
+
+export { methodsFilter as methods };
@@ -0,0 +1,131 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+import cryptoRandomString from "crypto-random-string";
+import dedent from "dedent";
+import { encode } from "./compression.js";
+
+/**
+ * A format determines how a response with notifications is written on the
+ * wire. It is an object with:
+ *  + `contentType` - the content-type of the response.
+ *  + `head(headers)` - the text before the representation body.
+ *  + `separator` - the text between the representation and notifications.
+ *  + `notification(notification, eventID)` - the text for a notification.
+ *  + `heartbeat(body)` - the text for a heartbeat.
+ *  + `end()` - the text that closes the response.
+ */
+
+/**
+ * Matches the part headers of a notification, up to the empty line before
+ * its body.
+ */
+const PART_HEADERS = /^(?:[^\r\n]+\r\n)*\r\n/;
+
+/**
+ * The `multipart/mixed` format wraps the representation in the first part and
+ * the notifications in a `multipart/digest` second part. Given the negotiated
+ * content-coding of notifications as `encoding`, the body of each one is
+ * encoded with it, after its part headers.
+ */
+function multipartFormat({ encoding } = {}) {
+  /**
+   * A randomly generated boundary string for multipart/mixed content-type
+   * that separates representation body from the notification body.
+   */
+  const mixedBoundary = cryptoRandomString({ length: 20, type: "base64" });
+
+  /**
+   * A randomly generated boundary string for the separating notifications.
+   */
+  const digestBoundary = cryptoRandomString({ length: 20, type: "base64" });
+
+  /**
+   * Boundary for notifications
+   */
+  const boundary = `\r\n--${digestBoundary}`;
+
+  return Object.freeze({
+    contentType: `multipart/mixed; boundary="${mixedBoundary}"`,
+
+    head(headers = {}) {
+      let head = `--${mixedBoundary}\r\n`;
+      // Write response headers in first part
+      for (const header in headers) {
+        head = `${head}${header}: ${headers[header]}\r\n`;
+      }
+      return `${head}\r\n`; // Empty line to separate headers
+    },
+
+    separator: `${dedent`
+      \n--${mixedBoundary}
+      Content-Type: multipart/digest; boundary="${digestBoundary}"\n
+    `.replace(/\n/g, "\r\n")}${boundary}`,
+
+    notification(notification) {
+      if (!encoding) return `\r\n${notification}${boundary}`;
+      const [headers = ""] = notification.match(PART_HEADERS) ?? [];
+      return Buffer.concat([
+        Buffer.from(`\r\n${headers}`),
+        encode(encoding, notification.slice(headers.length)),
+        Buffer.from(boundary),
+      ]);
+    },
+
+    heartbeat(body) {
+      return `\r\n\r\n${body}${boundary}`;
+    },
+
+    end() {
+      return dedent`
+        --
+        --${mixedBoundary}--\n
+      `.replace(/\n/g, "\r\n");
+    },
+  });
+}
+
+/**
+ * The `text/event-stream` format sends each notification as a Server-Sent
+ * Event, with the event ID in the `id` field and the body of the notification
+ * (without part headers) in the `data` field. The representation is not sent.
+ */
+function eventStreamFormat() {
+  return Object.freeze({
+    contentType: "text/event-stream",
+
+    head() {
+      return "";
+    },
+
+    separator: "",
+
+    notification(notification, eventID) {
+      // Trailing line breaks would become empty `data` lines
+      const body = notification
+        .replace(PART_HEADERS, "")
+        .replace(/[\r\n]+$/, "");
+      const data = body
+        .split(/\r\n|\r|\n/)
+        .map((line) => `data: ${line}\n`)
+        .join("");
+      return `${eventID ? `id: ${eventID}\n` : ""}${data}\n`;
+    },
+
+    heartbeat() {
+      return ":\n\n";
+    },
+
+    end() {
+      return "";
+    },
+  });
+}
+
+export { multipartFormat as multipart, eventStreamFormat as eventStream };
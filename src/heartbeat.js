@@ -0,0 +1,48 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * A heartbeat strategy determines the empty part written to keep a
+ * notifications stream alive. It is an object with:
+ *  + `body` - the body of the heartbeat part.
+ *  + `eager` - whether the heartbeat part is also written after every
+ *    notification, so that clients which buffer the stream display it at once.
+ */
+
+/**
+ * A strategy that writes an empty part.
+ */
+function emptyStrategy() {
+  return Object.freeze({ body: "", eager: false });
+}
+
+/**
+ * A strategy that writes a part padded with a number of empty `lines`,
+ * by default eagerly. Firefox needs this to not hold back notifications.
+ */
+function paddingStrategy({ lines = 240, eager = true } = {}) {
+  return Object.freeze({ body: "\r\n".repeat(lines), eager });
+}
+
+/**
+ * Selects a `strategy` for requests with a `User-Agent` that matches the
+ * `pattern` and a `fallback` strategy for all other requests.
+ */
+function userAgentStrategy(pattern, strategy, fallback = emptyStrategy()) {
+  return function selectStrategy(req) {
+    return pattern.test(req.headers["user-agent"] ?? "") ? strategy : fallback;
+  };
+}
+
+export {
+  emptyStrategy as empty,
+  paddingStrategy as padding,
+  userAgentStrategy as userAgent,
+};
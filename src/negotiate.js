@@ -57,6 +57,38 @@ function negotiateType(requestedFields, allowedFields) {
   return negotiateField(requestedFields, allowedFields, mediaType);
 }
 
+/**
+ * Matches requested ranges (such as those in `accept-encoding`) against allowed
+ * items, ignoring parameters. Ranges with `q=0` are excluded, the `*` range
+ * matches any item and, if `prefix` is set, a range also matches items that
+ * it is a prefix of, as for language ranges (`en` matches `en-gb`).
+ */
+function rangeType({ prefix = false } = {}) {
+  return {
+    sort(fields) {
+      return item.sort(fields.filter(([, params]) => params.get("q") !== 0));
+    },
+    match([requested], [allowed]) {
+      const range = `${requested}`.toLowerCase();
+      const value = `${allowed}`.toLowerCase();
+      return (
+        range === "*" ||
+        range === value ||
+        (prefix && value.startsWith(`${range}-`))
+      );
+    },
+  };
+}
+
+/**
+ * Takes in requested ranges and allowed items to find the best match.
+ * The field is not negotiated, unless it is both requested and allowed.
+ */
+function negotiateRange(requestedFields, allowedFields, options) {
+  if (requestedFields === undefined || allowedFields === undefined) return;
+  return negotiateField(requestedFields, allowedFields, rangeType(options));
+}
+
 /**
  * Takes an array of requested and allowed items to find the best match.
  * Does not process media-type fields, ensure they are filtered first.
@@ -88,24 +120,103 @@ function negotiateList(requestedFields, allowedFields) {
   return match;
 }
 
+/**
+ * The charsets in which notifications are written.
+ * Notifications are always written as UTF-8 text.
+ */
+const CHARSETS = ["utf-8"];
+
+/**
+ * The content-codings with which the body of a notification can be encoded.
+ */
+const CONTENT_CODINGS = ["br", "gzip", "deflate"];
+
+/**
+ * Keeps only the allowed items (if any) that are one of the given `values`.
+ */
+function onlyOf(allowedFields, values) {
+  if (allowedFields === undefined) return;
+  const aFields =
+    Array.isArray(allowedFields) ? allowedFields : [[allowedFields, new Map()]];
+  const producible = aFields.filter(([value]) =>
+    values.includes(`${value}`.toLowerCase()),
+  );
+  return producible.length ? producible : undefined;
+}
+
 /**
  * Negotiates the best matching `Content-*` based on the requested and
- * available media types. Currently limited to `Content-Type`
+ * available `accept-*` event-fields. A `Content-Type` must match, while
+ * `Content-Encoding`, `Content-Language` and the `charset` parameter of the
+ * `Content-Type` are only included when they are requested and available.
+ * Only the charsets and content-codings in which notifications can be written
+ * are negotiated.
  */
 function negotiateContentStar(request, available) {
-  // For now we will match `accept` event-field only to get the content-type.
-  // This can be extended to other `accept-*` event-fields in the future.
   const contentType = negotiateType(
     request.get("accept") || [["*/*", new Map()]],
     available.get("accept"),
   );
 
-  return (
-    contentType &&
-    Object.freeze({
-      "content-type": contentType,
-    })
+  if (!contentType) return;
+
+  const charset = negotiateRange(
+    request.get("accept-charset"),
+    onlyOf(available.get("accept-charset"), CHARSETS),
+  );
+  if (charset) {
+    // Copy the parameters, so as to not modify the configured ones
+    contentType[1] = new Map(contentType[1]).set("charset", charset[0]);
+  }
+
+  const contentEncoding = negotiateRange(
+    request.get("accept-encoding"),
+    onlyOf(available.get("accept-encoding"), CONTENT_CODINGS),
+  );
+
+  const contentLanguage = negotiateRange(
+    request.get("accept-language"),
+    available.get("accept-language"),
+    { prefix: true },
   );
+
+  return Object.freeze({
+    "content-type": contentType,
+    ...(contentEncoding && { "content-encoding": contentEncoding }),
+    ...(contentLanguage && { "content-language": contentLanguage }),
+  });
+}
+
+/**
+ * Negotiates the `delta` parameter of the negotiated `content-type` against
+ * the requested deltas, that the negotiate functions include as a third array
+ * entry when they differ from the configured ones. The `delta` parameter is
+ * removed when none of the configured deltas is requested.
+ */
+function negotiateDelta(negotiatedFields) {
+  const contentType = negotiatedFields?.["content-type"];
+  const configured = contentType?.[1].get("delta");
+  if (configured === undefined) return negotiatedFields;
+
+  const requested = contentType[2]?.get("delta");
+  // A single configured delta is kept, unless another one is requested
+  if (requested === undefined && !Array.isArray(configured)) {
+    return negotiatedFields;
+  }
+
+  const match = requested !== undefined && negotiateType(requested, configured);
+
+  const params = new Map(contentType[1]);
+  if (match) {
+    params.set("delta", match[0]);
+  } else {
+    params.delete("delta");
+  }
+
+  return Object.freeze({
+    ...negotiatedFields,
+    "content-type": [contentType[0], params],
+  });
 }
 
 /**
@@ -130,6 +241,7 @@ function cleanUp(obj) {
 
 export {
   negotiateContentStar as content,
+  negotiateDelta as delta,
   negotiateType as type,
   negotiateItem as item,
   negotiateList as list,
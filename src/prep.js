@@ -7,12 +7,31 @@
  *
  *  SPDX-License-Identifier: MPL-2.0
  */
-import cryptoRandomString from "crypto-random-string";
 import { parseList, serializeDictionary } from "structured-headers";
+import { requestPath, responseDate } from "./adapters.js";
 import EventsFactory from "./engine.js";
-import { rfc822 as rfc822Template } from "./templates.js";
+import {
+  notification as notificationTemplate,
+  status as statusTemplate,
+} from "./templates.js";
+import {
+  eventStream as eventStreamFormat,
+  multipart as multipartFormat,
+} from "./formats.js";
+import { methods as methodsFilter } from "./filters.js";
+import { PrepError } from "./errors.js";
+import {
+  empty as emptyHeartbeat,
+  padding as paddingHeartbeat,
+  userAgent as userAgentHeartbeat,
+} from "./heartbeat.js";
+import {
+  compressor as createCompressor,
+  negotiate as negotiateEncoding,
+} from "./compression.js";
 import * as negotiate from "./negotiate.js";
 import { useTry } from "no-try";
+import cryptoRandomString from "crypto-random-string";
 import stream from "node:stream";
 import dedent from "dedent";
 
@@ -22,29 +41,135 @@ const debug = Debug("prep");
 /**
  * The list of default content-types for notifications.
  * Can be modified using the environment variable `NOTIFICATIONS_CONTENT_TYPES`
+ * or the `contentTypes` option of `createPrep()`.
  */
 const CONTENT_TYPES =
   process.env.NOTIFICATIONS_CONTENT_TYPES || "message/rfc822";
 
 /**
  * The default duration for the connection in seconds set to 1 hour.
- * Can be modified using the environment variable
- * `NOTIFICATIONS_CONTENT_DURATION`
+ * Can be modified using the environment variable `NOTIFICATIONS_DURATION`
+ * or the `duration` option of `createPrep()`.
  */
 const CX_TIME = +(process.env.NOTIFICATIONS_DURATION || 3600);
 
 /**
  * Maximum connection duration in seconds set to 2 hour.
- * Can be modified using the environment variable
- * `NOTIFICATIONS_CONTENT_DURATION_MAX`
+ * Can be modified using the environment variable `NOTIFICATIONS_DURATION_MAX`
+ * or the `maxDuration` option of `createPrep()`.
  */
 const CX_TIME_MAX = +(process.env.NOTIFICATIONS_DURATION_MAX || 7200);
 
 /**
  * List of valid HTTP response codes for which PREP Notifications are sent.
+ * Can be modified using the `validStatusCodes` option of `createPrep()`.
  */
 const VALID_STATUS_CODES = [200, 204, 206, 226];
 
+/**
+ * The default interval of inactivity in seconds after which a heartbeat is
+ * written to the notifications stream.
+ */
+const HEARTBEAT_INTERVAL = 30;
+
+/**
+ * The default heartbeat strategy pads heartbeats for Firefox, which otherwise
+ * holds back notifications, and writes empty parts for other clients.
+ */
+const HEARTBEAT_STRATEGY = userAgentHeartbeat(/firefox/i, paddingHeartbeat());
+
+/**
+ * The default number of notifications that can be queued for a consumer,
+ * beyond which the buffer policy applies.
+ */
+const BUFFER_LIMIT = 100;
+
+/**
+ * The default time in seconds an evicted consumer is given to read the final
+ * notification, after which its response is destroyed.
+ */
+const EVICTION_GRACE = 5;
+
+/**
+ * The options of a trigger that describe only its own change, which are not
+ * carried over when triggers are coalesced.
+ */
+const SINGLE_TRIGGER_OPTIONS = [
+  "previous",
+  "current",
+  "delta",
+  "data",
+  "generateNotification",
+];
+
+/**
+ * The default filters that clients can request to restrict notifications.
+ */
+const FILTERS = { methods: methodsFilter() };
+
+/**
+ * The default notification warning the client that its subscription is about
+ * to expire.
+ */
+function expiringNotification(negotiatedFields, { expires, subscription }) {
+  return statusTemplate(negotiatedFields, {
+    status: "expiring",
+    expires,
+    subscription,
+  });
+}
+
+/**
+ * The default final notification telling the client why the server ended
+ * the stream, say, that it `expired` or the resource was `deleted`, or
+ * `moved` to a new `location`.
+ */
+function closedNotification(
+  negotiatedFields,
+  { reason, location, subscription },
+) {
+  return statusTemplate(negotiatedFields, {
+    status: "closed",
+    reason,
+    location,
+    subscription,
+  });
+}
+
+/**
+ * The methods that transfer a resource to a destination path.
+ */
+const TRANSFER_METHODS = ["MOVE", "COPY"];
+
+/**
+ * The destination path of a `MOVE` or `COPY` request, from its `Destination`
+ * header, if any.
+ */
+function destinationPath(req) {
+  const destination = req.headers.destination;
+  if (!destination) return;
+  const [error, url] = useTry(() => new URL(destination, "http://localhost"));
+  if (error) {
+    debug(`The destination ${destination} does not parse`);
+    return;
+  }
+  return url.pathname;
+}
+
+/**
+ * Checks if the `Accept` header of a request includes `text/event-stream`,
+ * as sent by the `EventSource` interface in browsers.
+ */
+function acceptsEventStream(req) {
+  return `${req.headers.accept ?? ""}`.split(",").some((range) => {
+    const [type, ...params] = range.split(";").map((s) => s.trim());
+    return (
+      type.toLowerCase() === "text/event-stream" &&
+      !params.some((param) => /^q=0(\.0*)?$/i.test(param))
+    );
+  });
+}
+
 /**
  * Adds extra items to a list header string.
  * If the header does not exist a new one is created.
@@ -54,6 +179,46 @@ function appendToHeader(header, ...items) {
   return `${header ?? ""}` ? `${header}, ${extraHeaders}` : extraHeaders;
 }
 
+/**
+ * Checks if an `If-None-Match` header matches the ETag of a representation,
+ * using the weak comparison function.
+ */
+function matchesETag(ifNoneMatch, eTag) {
+  const opaqueTag = (tag) => `${tag}`.trim().replace(/^W\//, "");
+  return `${ifNoneMatch ?? ""}`
+    .split(",")
+    .map((tag) => tag.trim())
+    .some(
+      (tag) => tag === "*" || (!!eTag && opaqueTag(tag) === opaqueTag(eTag)),
+    );
+}
+
+/**
+ * The data describing an event for the default notification.
+ * It is sent along with notifications to subscribers in other processes.
+ */
+function eventData({
+  date = new Date().toUTCString(),
+  method,
+  eTag,
+  eventID,
+  location,
+  delta,
+  previous,
+  current,
+} = {}) {
+  return {
+    date,
+    method,
+    ...(eTag && { eTag }),
+    ...(eventID && { eventID }),
+    ...(location && { location }),
+    ...(delta && { delta }),
+    ...(previous !== undefined && { previous }),
+    ...(current !== undefined && { current }),
+  };
+}
+
 /**
  *  Sequentially Merge Stream into Readable
  */
@@ -86,384 +251,1333 @@ function appendStream(text) {
   });
 }
 
-// Initialize the Events Engine for the middleware to use
-const { subscribe, notify } = EventsFactory();
-
 /**
- * PREP middleware function that is used to handle incoming HTTP requests and
- * generate notifications based on the request and response.
- * The middleware will add the following functions to the response:
- *  + `configureNotifications` - configures the `Accept-Events` response header
- *  + `sendPerResourceEvents` - to send a response with prep notifications
- *  + `triggerPerResourceEvent` - to trigger the notification,
+ * A factory function that creates an isolated instance of the PREP middleware.
+ * It can be configured with:
+ *  + `contentTypes` - the default content-types for notifications.
+ *  + `duration` - the default duration for the connection in seconds.
+ *  + `maxDuration` - the maximum duration for the connection in seconds.
+ *  + `validStatusCodes` - HTTP response codes for which notifications are sent.
+ *  + `heartbeat` - the `interval` in seconds after which an empty part is
+ *    written if there are no notifications and the `strategy` (or a function
+ *    of the request that selects it) used to write it.
+ *  + `buffer` - the `limit` of notifications queued for a consumer that does
+ *    not keep up, the `policy` when the limit is reached (`"drop-oldest"`,
+ *    `"coalesce"` or `"close"`), a function to `generateNotification` sent
+ *    before closing, the `grace` period in seconds after which the response
+ *    of a closed consumer is destroyed and an `onEvict` callback when a
+ *    consumer is closed.
+ *  + `coalesce` - the `window` in seconds (or a function of the path that
+ *    returns it) in which triggers on a path are combined, with the `mode`
+ *    (`"throttle"` or `"debounce"`) and the `strategy` (`"last"` or `"merge"`)
+ *    to combine them.
+ *  + `expiry` - the lead time in seconds before a subscription expires, at
+ *    which a `warning` notification is sent (disabled by default), and a
+ *    function to `generateNotification` for it.
+ *  + `end` - a function to `generateNotification` sent when the server ends
+ *    a stream, given the `reason` it ended, unless a final notification is
+ *    already given for the reason.
+ *  + `migrate` - whether the subscriptions on the source of a `MOVE` are
+ *    migrated to its destination, rather than ended.
+ *  + `filters` - the filters clients can request by event-field name, if
+ *    also configured for the route.
+ *  + `compression` - `true` or a list of encodings (`"br"`, `"gzip"` and
+ *    `"deflate"`) in order of preference, to compress responses with
+ *    notifications for clients that accept them.
+ *  + `onError` - a function called with each `PrepError` and the `path`,
+ *    `req` and `res` it occurred on, to log or report misconfigurations,
+ *    failed negotiations and streams that fail mid-way.
+ *  + `engine` - an Events engine, for example, with a custom `comparator` or
+ *    one that uses a transport to notify subscribers in other processes.
+ *
+ * The middleware instance also provides a `trigger()` function to notify
+ * events outside of a request, a `renew()` function to extend subscriptions,
+ * `close()` and `drain()` functions to end its
+ * notification streams gracefully and its Events `engine`, for introspection.
  */
-function prepMiddleware(req, res, next) {
-  const { path, method } = req;
-  const { statusCode } = res;
+function createPrep({
+  contentTypes = CONTENT_TYPES,
+  duration = CX_TIME,
+  maxDuration = CX_TIME_MAX,
+  validStatusCodes = VALID_STATUS_CODES,
+  heartbeat: {
+    interval: heartbeatInterval = HEARTBEAT_INTERVAL,
+    strategy: heartbeatStrategy = HEARTBEAT_STRATEGY,
+  } = {},
+  buffer: {
+    limit: bufferLimit = BUFFER_LIMIT,
+    policy: bufferPolicy = "close",
+    generateNotification: generateEvictionNotification,
+    grace: evictionGrace = EVICTION_GRACE,
+    onEvict,
+  } = {},
+  coalesce: {
+    window: coalesceWindow = 0,
+    mode: coalesceMode = "throttle",
+    strategy: coalesceStrategy = "last",
+  } = {},
+  expiry: {
+    warning: expiryWarning = 0,
+    generateNotification: generateExpiryNotification = expiringNotification,
+  } = {},
+  end: {
+    generateNotification: generateEndNotification = closedNotification,
+  } = {},
+  migrate: migrateSubscriptions = false,
+  filters = FILTERS,
+  compression = false,
+  onError,
+  engine = EventsFactory(),
+} = {}) {
+  const { subscribe, notify, missed } = engine;
 
   /**
-   * Set the Events Header
+   * The default content-types for notifications as an inner list.
    */
-  function setEventsHeader(eventsHeader) {
-    res.setHeader("Events", serializeDictionary(eventsHeader));
-  }
+  const defaultAccept = `accept=(${[].concat(contentTypes).join(" ")})`;
 
   /**
-   * Allows the middleware consumer to specify notification supported on a
-   * given path. It also sets the `Accepts-Events` header in the response.
+   * The open notification streams of this instance.
+   * Each connection is identified by the `id` of its subscription, on the
+   * `path` it was made, and provides ways to `renew` and `close` it and a
+   * promise that is `finished` when its response is done.
    */
-  function configureNotifications({ config: configuredEventsParams }) {
-    const aePrepItem = `"prep";${configuredEventsParams || `accept=(${CONTENT_TYPES})`}`;
+  const connections = new Set();
 
-    // Parse the allowed fields identical to request header
-    const [error, configuredEvents] = useTry(
-      () => parseList(aePrepItem)?.[0][1],
-    );
+  /**
+   * The interval in seconds for which a connection is to remain open, given
+   * the requested duration, if any, within the maximum duration.
+   */
+  function durationOf(requested) {
+    const seconds = +(requested || 0);
+    return seconds > 0 && seconds <= maxDuration ? seconds : duration;
+  }
 
-    // The acceptEvents header does not parse
-    // This is a server mis-configuration
-    if (error) {
-      debug(dedent`
-        Configured "Accept-Events" header does not parse for URL path ${path}.
-        Define a proper response "Accept-Events" header
-        ${error.message}
-      `);
-      return {
-        protocol: "prep",
-        status: 500,
-      };
-    }
+  /**
+   * Finds the open connection of a subscription by its identifier.
+   */
+  function findConnection(subscription) {
+    return [...connections].find(({ id }) => id === `${subscription ?? ""}`);
+  }
 
-    // Set the Accept-Events Header if the route supports PREP notifications
-    const acceptEvents = res.getHeader("accept-events");
-    res.setHeader("Accept-Events", appendToHeader(acceptEvents, aePrepItem));
+  /**
+   * Tracks if the instance has stopped accepting new subscriptions.
+   */
+  let closing = false;
 
-    res.events.prep.config = configuredEvents;
-  }
+  /**
+   * The open coalescing windows for each path, with the timer that ends the
+   * window and the trigger waiting for it to end, if any.
+   */
+  const windows = new Map();
 
   /**
-   * Allows the middleware consumer to send a response with notifications.
+   * Combines a trigger with the one waiting on the same path. A delta, custom
+   * notification or `data` given with a single trigger describes only its own
+   * change, so the combined trigger carries none. With the `"merge"` strategy,
+   * the `previous` representation of the waiting trigger is kept, so that the
+   * delta generated for it covers all the combined changes. With `"last"`,
+   * neither representation is kept and the notification carries no delta.
    */
-  function sendResponseWithNotification({
-    headers: responseHeaders = {},
-    body: responseBody,
-    isBodyStream = false,
-    params: requestedEvents = new Map(),
-    modifiers: {
-      /**
-       * Modifies the default content negotiation for notifications
-       */
-      negotiateEvents = (d) => d,
-      /**
-       * Modifies the default Events header in a response.
-       */
-      modifyEventsHeader = () => {},
-    } = {},
-  }) {
-    /**
-     * Stores fields for the `Events` Header.
-     */
-    const eventsHeader = {
-      protocol: "prep",
+  function combineTriggers(waiting, trigger) {
+    if (!waiting) return trigger;
+    const options = Object.fromEntries(
+      Object.entries(trigger.options).filter(
+        ([key]) => !SINGLE_TRIGGER_OPTIONS.includes(key),
+      ),
+    );
+    return {
+      ...trigger,
+      options: {
+        ...options,
+        ...(coalesceStrategy === "merge" &&
+          waiting.options.previous !== undefined && {
+            previous: waiting.options.previous,
+            current: trigger.options.current,
+          }),
+      },
     };
+  }
 
-    // Check if response is legal
-    if (!VALID_STATUS_CODES.includes(statusCode)) {
-      debug("Response was not successful");
-      eventsHeader.status = 412;
-      return eventsHeader;
-    }
+  /**
+   * Opens a window on the path, at the end of which the waiting trigger, if
+   * any, is sent. When throttling, sending it opens another window.
+   */
+  function openWindow(path, seconds, waiting) {
+    const timer = setTimeout(() => {
+      const trigger = windows.get(path).waiting;
+      windows.delete(path);
+      if (!trigger) return;
+      if (coalesceMode === "throttle") {
+        openWindow(path, seconds);
+      }
+      trigger.send(trigger.options);
+    }, seconds * 1000).unref();
+    windows.set(path, { timer, waiting });
+  }
 
-    // Remove `q` as it is no longer necessary
-    requestedEvents.delete("q");
+  /**
+   * Closes all open windows, sending the triggers waiting for them at once,
+   * so that they still reach subscribers in other processes and the history.
+   */
+  function flushWindows() {
+    const waiting = [...windows.values()];
+    windows.clear();
+    waiting.forEach(({ timer, waiting: trigger }) => {
+      clearTimeout(timer);
+      trigger?.send(trigger.options);
+    });
+  }
 
-    // Content Negotiation
+  /**
+   * Sends a trigger, unless it is to be combined with other triggers on the
+   * same path in a coalescing window. When throttling, the first trigger is
+   * sent at once and the last one at the end of the window. When debouncing,
+   * the trigger is sent once no other trigger follows within the window.
+   * The last event on a path is always sent at once, discarding the others.
+   */
+  function coalesceTrigger(path, trigger) {
+    const seconds =
+      typeof coalesceWindow === "function" ?
+        coalesceWindow(path)
+      : coalesceWindow;
 
-    const configuredEvents = res.events.prep.config;
+    const window = windows.get(path);
 
-    if (!configuredEvents) {
-      debug(`No events configuration defined for the route`);
-      eventsHeader.status = 500;
-      return eventsHeader;
+    if (!(seconds > 0) || trigger.options.lastEvent) {
+      clearTimeout(window?.timer);
+      windows.delete(path);
+      return trigger.send(trigger.options);
     }
 
-    // The server does not define an allowed media-type, something it must at a minimum.
-    // This is a server mis-configuration
-    if (!configuredEvents?.get("accept")) {
-      debug(dedent`
-        No acceptable media-type configured for for URL path ${path}.
-        Define an "accept" field for the response "accept-events" header in your middleware configuration
-      `);
-      eventsHeader.status = 500;
-      return eventsHeader;
+    if (!window) {
+      if (coalesceMode === "throttle") {
+        openWindow(path, seconds);
+        return trigger.send(trigger.options);
+      }
+      return openWindow(path, seconds, trigger);
     }
 
-    if (!requestedEvents.has("accept")) {
-      debug(`No "accept" events field defined in the request`);
+    debug(`Coalescing triggers on ${path}`);
+    window.waiting = combineTriggers(window.waiting, trigger);
+    if (coalesceMode === "debounce") {
+      clearTimeout(window.timer);
+      openWindow(path, seconds, window.waiting);
     }
+  }
 
-    const negotiatedEvents = negotiate.cleanUp(
-      negotiateEvents(negotiate.content(requestedEvents, configuredEvents)),
-    );
-
-    if (negotiatedEvents) {
-      debug("Found a matching content-type for notifications");
-      eventsHeader.status = 200;
-    } else {
-      debug("No matched content-type for notifications");
-      eventsHeader.status = 406;
-      return eventsHeader;
-    }
+  /**
+   * Triggers the event of a `MOVE` or `COPY` on both the destination path and
+   * the source path, where the notification carries the destination as its
+   * `Location`. A `MOVE` is the last event on the source path, unless its
+   * subscriptions are to `migrate` to the destination (after it is notified,
+   * so that they are not notified twice). The `eTag` describes the resource
+   * at the destination, so the notification on the source carries none.
+   */
+  function transferTrigger({
+    path,
+    destination,
+    moved,
+    migrate,
+    options: { eTag, ...options },
+    send,
+  }) {
+    coalesceTrigger(destination, {
+      options: {
+        ...options,
+        ...(eTag && { eTag }),
+        path: destination,
+        lastEvent: false,
+      },
+      send,
+    });
+    coalesceTrigger(path, {
+      options: {
+        ...options,
+        // Do not default to the ETag of the response
+        eTag: null,
+        path,
+        location: destination,
+        lastEvent: moved,
+        ...(moved && { movedTo: destination, migrate }),
+      },
+      send,
+    });
+  }
 
-    // Vary header includes Accept-Events
-    res.setHeader(
-      "vary",
-      appendToHeader(res.getHeader("vary"), "Accept-Events"),
-    );
+  /**
+   * PREP middleware function that is used to handle incoming HTTP requests and
+   * generate notifications based on the request and response.
+   * The middleware will add the following functions to the response:
+   *  + `configureNotifications` - configures the `Accept-Events` response header
+   *  + `sendPerResourceEvents` - to send a response with prep notifications
+   *  + `triggerPerResourceEvent` - to trigger the notification,
+   */
+  function prepMiddleware(req, res, next) {
+    const path = requestPath(req);
+    const { method } = req;
 
-    // Connection Handling
+    // Fix the date of the response, so that notifications can refer to it
+    if (!res.headersSent && !res.getHeader("Date")) {
+      res.setHeader("Date", new Date().toUTCString());
+    }
 
     /**
-     * Tracks the connection status.
-     * It is initially set to `true` to indicate that the connection is active.
-     * If the connection is closed or aborted, the value of `connected` will
-     * be set to `false` to indicate that the connection is no longer active.
+     * Whether the request asks for notifications as Server-Sent Events.
      */
-    let connected = true;
-
-    // Handle sudden connection drops
-    res.on("close", () => disconnected("close"));
-    res.on("finish", () => disconnected("finish"));
-    req.on("abort", () => disconnected("abort"));
+    const eventStream = acceptsEventStream(req);
 
     /**
-     * Check if user agent is firefox.
-     * This will be used to add additional lines so that firefox does not
-     * close the connection between notifications.
+     * Reports an error on this request to the `onError` hook, if any, and
+     * returns it.
      */
-    let is_firefox = false;
-
-    if (
-      req.headers["user-agent"] &&
-      req.headers["user-agent"].toLowerCase().indexOf("firefox") > -1
-    ) {
-      is_firefox = true;
+    function fail(details) {
+      const error = new PrepError(details);
+      if (onError) {
+        new Promise((resolve) =>
+          resolve(onError(error, { path, req, res })),
+        ).catch((hookError) => debug("The onError hook failed", hookError));
+      }
+      return error;
     }
 
-    // Set Duration
-
     /**
-     * The interval in seconds derived from the duration header.
+     * Set the Events Header
      */
-    const cxTimeH = +(requestedEvents.get("duration") || 0);
+    function setEventsHeader(eventsHeader) {
+      res.setHeader("Events", serializeDictionary(eventsHeader));
+    }
 
     /**
-     * The interval in seconds for which the connection is to remain open.
+     * Allows the middleware consumer to specify notification supported on a
+     * given path. It also sets the `Accepts-Events` header in the response.
      */
-    const cxTime =
-      cxTimeH && cxTimeH > 0 && cxTimeH <= CX_TIME_MAX ? cxTimeH : CX_TIME;
+    function configureNotifications({ config: configuredEventsParams }) {
+      const aePrepItem = `"prep";${configuredEventsParams || defaultAccept}`;
 
-    /**
-     * The expiration time for the connection.
-     */
-    const expires = new Date();
-    expires.setTime(Date.now() + cxTime * 1000);
-    const timeoutID = setTimeout(writeEnd, cxTime * 1000);
-    eventsHeader.expires = expires.toUTCString();
+      // Parse the allowed fields identical to request header
+      const [error, configuredEvents] = useTry(
+        () => parseList(aePrepItem)?.[0][1],
+      );
 
-    /**
-     * Retrieving the value of the "Last-Event-ID" header from the incoming
-     * HTTP request.
-     */
-    const reqLastEventID = `${req.headers["last-event-id"] ?? ""}`;
+      // The acceptEvents header does not parse
+      // This is a server mis-configuration
+      if (error) {
+        debug(dedent`
+          Configured "Accept-Events" header does not parse for URL path ${path}.
+          Define a proper response "Accept-Events" header
+          ${error.message}
+        `);
+        return fail({
+          status: 500,
+          reason: "invalid-configuration",
+          detail: `Configured events do not parse: ${error.message}`,
+          cause: error,
+        });
+      }
 
-    /**
-     * A randomly generated boundary string for multipart/mixed content-type
-     * that separates representation body from the notification body.
-     * It will only be generated if representation is also sent.
-     */
-    let mixedBoundary;
+      // Set the Accept-Events Header if the route supports PREP notifications
+      const acceptEvents = res.getHeader("accept-events");
+      res.setHeader("Accept-Events", appendToHeader(acceptEvents, aePrepItem));
 
-    /**
-     * A randomly generated boundary string for the separating notifications.
-     */
-    const digestBoundary = cryptoRandomString({ length: 20, type: "base64" });
+      res.events.prep.config = configuredEvents;
+    }
 
     /**
-     * A stream to capture notifications
+     * Allows the middleware consumer to send a response with notifications.
      */
-    const notifications = new stream.Readable({
-      read() {},
-    });
-    // Do not send notifications until you write the headers (and representation).
-    notifications.pause();
+    function sendResponseWithNotification({
+      headers: responseHeaders = {},
+      body: responseBody,
+      isBodyStream = false,
+      params: requestedEvents = new Map(),
+      modifiers: {
+        /**
+         * Modifies the default content negotiation for notifications
+         */
+        negotiateEvents = (d) => d,
+        /**
+         * Modifies the default Events header in a response.
+         */
+        modifyEventsHeader = () => {},
+      } = {},
+      /**
+       * Authorizes each notification before it is delivered to the client.
+       */
+      authorize,
+    }) {
+      /**
+       * Stores fields for the `Events` Header.
+       */
+      const eventsHeader = {
+        protocol: "prep",
+      };
 
-    /**
-     * Boundary for notifications
-     */
-    const boundary = dedent`
-      \n--${digestBoundary}
-      ${is_firefox ? "\n".repeat(240) : ""}
-      ${is_firefox ? `--${digestBoundary}` : ""}
-    `.replace(/\n/g, "\r\n");
+      // Do not accept new subscriptions when shutting down
+      if (closing) {
+        debug("Not accepting subscriptions, the server is shutting down");
+        return fail({
+          status: 503,
+          reason: "shutting-down",
+          detail: "The server is not accepting subscriptions",
+        });
+      }
 
-    /**
-     * Writes the notification to the response.
-     * (If the response is being sent to Firefox, it adds multiple line breaks
-     * to prevent Firefox from closing the connection prematurely.)
-     */
-    function writeNotification(notification, last) {
-      notifications.push(
-        `\r\n${notification}${last ? `\r\n--${digestBoundary}` : boundary}`,
+      // Check if response is legal
+      if (!validStatusCodes.includes(res.statusCode)) {
+        debug("Response was not successful");
+        return fail({
+          status: 412,
+          reason: "unsuccessful-response",
+          detail: `Notifications are not sent with a ${res.statusCode} response`,
+        });
+      }
+
+      // Remove `q` as it is no longer necessary
+      requestedEvents.delete("q");
+
+      // Event streams carry the body of each notification as text
+      if (eventStream) requestedEvents.delete("accept-encoding");
+
+      // Content Negotiation
+
+      const configuredEvents = res.events.prep.config;
+
+      if (!configuredEvents) {
+        debug(`No events configuration defined for the route`);
+        return fail({
+          status: 500,
+          reason: "not-configured",
+          detail: "Notifications are not configured for the route",
+        });
+      }
+
+      // The server does not define an allowed media-type, something it must at a minimum.
+      // This is a server mis-configuration
+      if (!configuredEvents?.get("accept")) {
+        debug(dedent`
+          No acceptable media-type configured for for URL path ${path}.
+          Define an "accept" field for the response "accept-events" header in your middleware configuration
+        `);
+        return fail({
+          status: 500,
+          reason: "no-accept-configured",
+          detail: "No content-type is configured for notifications",
+        });
+      }
+
+      if (!requestedEvents.has("accept")) {
+        debug(`No "accept" events field defined in the request`);
+      }
+
+      const negotiatedEvents = negotiate.cleanUp(
+        negotiateEvents(
+          negotiate.delta(negotiate.content(requestedEvents, configuredEvents)),
+        ),
       );
-    }
 
-    /**
-     * Writes the end of the response.
-     * It writes the closing boundary for the notifications body
-     * and ends the response.
-     */
-    function writeEnd() {
-      notifications.push(
-        dedent`
-          --
-          --${mixedBoundary}--\n
-        `.replace(/\n/g, "\r\n"),
+      if (negotiatedEvents) {
+        debug("Found a matching content-type for notifications");
+        eventsHeader.status = 200;
+      } else {
+        debug("No matched content-type for notifications");
+        const accept = configuredEvents.get("accept");
+        return fail({
+          status: 406,
+          reason: "not-acceptable",
+          detail: "None of the requested content-types can be notified",
+          // The content-types the server does accept
+          accept: Array.isArray(accept) ? [accept, new Map()] : accept,
+        });
+      }
+
+      // Vary header includes Accept-Events
+      // (and Accept, which determines the format of the response)
+      res.setHeader(
+        "vary",
+        appendToHeader(res.getHeader("vary"), "Accept-Events", "Accept"),
       );
-      res.end();
-    }
 
-    // remove the `vary` field, if it exists
-    delete negotiatedEvents.vary;
+      /**
+       * The filters requested by the client, that are also configured for the
+       * route, with their accepted values.
+       */
+      const acceptedFilters = Object.entries(filters).flatMap(
+        ([name, filter]) => {
+          if (!requestedEvents.has(name) || !configuredEvents.has(name)) {
+            return [];
+          }
+          const accepted = filter.negotiate(
+            requestedEvents.get(name),
+            configuredEvents.get(name),
+          );
+          if (accepted === undefined) {
+            debug(`The ${name} filter requested on ${path} is not allowed`);
+            return [];
+          }
+          // Echo the accepted filter in the Events header
+          eventsHeader[name] =
+            Array.isArray(accepted) ? [accepted, new Map()] : accepted;
+          return [{ filter, accepted }];
+        },
+      );
 
-    // Add URL to subscription list
-    const removeHandler = subscribe({
-      path,
-      negotiatedFields: negotiatedEvents,
-      handler: writeNotification,
-      endHandler: writeEnd,
-    });
+      /**
+       * Checks if an event passes all the accepted filters.
+       */
+      function filterEvent(event) {
+        return acceptedFilters.every(({ filter, accepted }) =>
+          filter.match(accepted, event),
+        );
+      }
 
-    /**
-     * Callback function to handle disconnection.
-     */
-    function disconnected(cause) {
-      if (!connected) return;
+      /**
+       * The format in which the response is written, encoding the body of
+       * each notification with the negotiated content-coding, if any.
+       */
+      const format =
+        eventStream ? eventStreamFormat() : (
+          multipartFormat({
+            encoding: [negotiatedEvents["content-encoding"]].flat()[0],
+          })
+        );
 
-      debug(`Connection closed on ${path} from ${cause} event`);
+      // Connection Handling
 
-      // Mark Disconnection
-      connected = false;
-      // Remove the handlers
-      removeHandler();
-      // Release the timeout
-      clearTimeout(timeoutID);
-    }
+      /**
+       * Tracks the connection status.
+       * It is initially set to `true` to indicate that the connection is active.
+       * If the connection is closed or aborted, the value of `connected` will
+       * be set to `false` to indicate that the connection is no longer active.
+       */
+      let connected = true;
 
-    setEventsHeader(
-      Object.assign(eventsHeader, modifyEventsHeader(negotiatedEvents)),
-    );
+      // Handle sudden connection drops
+      res.on("close", () => disconnected("close"));
+      res.on("finish", () => disconnected("finish"));
+
+      /**
+       * The heartbeat strategy selected for the request.
+       * Event streams only need a comment to keep the connection alive.
+       */
+      const heartbeat =
+        (!eventStream &&
+          (typeof heartbeatStrategy === "function" ?
+            heartbeatStrategy(req)
+          : heartbeatStrategy)) ||
+        emptyHeartbeat();
+
+      // Set Duration
+
+      /**
+       * The identifier of the subscription, with which it can be renewed.
+       */
+      const subscriptionID = cryptoRandomString({
+        length: 16,
+        type: "alphanumeric",
+      });
+      eventsHeader.subscription = subscriptionID;
+
+      /**
+       * The expiration time for the connection, with the IDs of the timers
+       * that end the connection and warn the client beforehand.
+       */
+      let expires;
+      let timeoutID;
+      let warningID;
+
+      /**
+       * (Re)sets the expiration time of the connection to `seconds` from now.
+       */
+      function setExpiry(seconds) {
+        clearTimeout(timeoutID);
+        clearTimeout(warningID);
+        expires = new Date(Date.now() + seconds * 1000);
+        timeoutID = setTimeout(() => writeEnd("expired"), seconds * 1000);
+        if (expiryWarning > 0 && seconds > expiryWarning) {
+          warningID = setTimeout(warnExpiry, (seconds - expiryWarning) * 1000);
+        }
+      }
+
+      setExpiry(durationOf(requestedEvents.get("duration")));
+      eventsHeader.expires = expires.toUTCString();
+
+      /**
+       * Writes a notification that the subscription is about to expire.
+       */
+      function warnExpiry() {
+        debug(`Subscription ${subscriptionID} on ${path} is about to expire`);
+        const notification = generateExpiryNotification?.(negotiatedEvents, {
+          expires: expires.toUTCString(),
+          subscription: subscriptionID,
+        });
+        if (notification) {
+          writeNotification(notification);
+        }
+      }
+
+      /**
+       * Retrieving the value of the "Last-Event-ID" header from the incoming
+       * HTTP request.
+       */
+      const reqLastEventID = `${req.headers["last-event-id"] ?? ""}`;
 
-    const shouldSkipBody =
-      responseBody &&
-      (reqLastEventID === "*" ||
-        (res.lastEventID && reqLastEventID === res.lastEventID));
+      /**
+       * The events missed by the client since the event identified by the
+       * "Last-Event-ID" header, provided it is still in the engine history.
+       */
+      const missedEvents =
+        reqLastEventID ?
+          missed({ path, lastEventID: reqLastEventID })
+        : undefined;
+
+      /**
+       * The notifications (and heartbeats) waiting to be read by the stream,
+       * followed by `null` once the stream has ended.
+       */
+      const queue = [];
+
+      /**
+       * Tracks if the stream is ready to read more from the queue.
+       */
+      let reading = false;
+
+      /**
+       * A stream to capture notifications
+       */
+      const notifications = new stream.Readable({
+        read() {
+          reading = true;
+          drain();
+        },
+      });
+      // Do not send notifications until you write the headers (and representation).
+      notifications.pause();
+
+      /**
+       * Moves items from the queue to the stream, as long as the stream
+       * (and the response it is piped to) is not backed up.
+       */
+      function drain() {
+        while (reading && queue.length) {
+          reading = notifications.push(queue.shift());
+        }
+      }
+
+      /**
+       * Tracks if the notifications stream has ended.
+       */
+      let ended = false;
+
+      /**
+       * Adds a notification to the queue. When the queue is full, the buffer
+       * policy decides whether to drop the oldest notification, replace all
+       * queued notifications with this one, or to close the stream.
+       */
+      function enqueue(chunk) {
+        if (queue.length >= bufferLimit) {
+          debug(`Notifications backed up on ${path}, applying ${bufferPolicy}`);
+          switch (bufferPolicy) {
+            case "drop-oldest":
+              queue.shift();
+              break;
+            case "coalesce":
+              queue.length = 0;
+              break;
+            default:
+              evict();
+              return;
+          }
+        }
+        queue.push(chunk);
+        drain();
+      }
+
+      /**
+       * The ID of the timer that destroys the response of an evicted consumer.
+       */
+      let evictionID;
+
+      /**
+       * Closes the stream of a consumer that does not keep up with the
+       * notifications, with a final notification, if one can be generated.
+       * Since the consumer may never read the end of the stream, its response
+       * is destroyed after the grace period, releasing the subscription.
+       */
+      function evict() {
+        debug(`Evicting slow consumer of notifications on ${path}`);
+        onEvict?.({ path, negotiatedFields: negotiatedEvents, req, res });
+        queue.length = 0;
+        writeEnd(
+          "evicted",
+          generateEvictionNotification?.(negotiatedEvents) || undefined,
+        );
+        evictionID = setTimeout(() => res.destroy(), evictionGrace * 1000);
+      }
+
+      /**
+       * The ID of the timer for the next heartbeat.
+       */
+      let heartbeatID;
+
+      /**
+       * Writes an empty part to keep the connection alive and schedules the
+       * next one, if the heartbeat interval is set.
+       */
+      function writeHeartbeat() {
+        if (ended) return;
+        enqueue(format.heartbeat(heartbeat.body));
+        scheduleHeartbeat();
+      }
+
+      /**
+       * (Re)schedules the heartbeat after a period of inactivity.
+       * No heartbeat is needed while notifications are waiting to be read.
+       */
+      function scheduleHeartbeat() {
+        clearTimeout(heartbeatID);
+        if (heartbeatInterval > 0) {
+          heartbeatID = setTimeout(
+            () => (queue.length ? scheduleHeartbeat() : writeHeartbeat()),
+            heartbeatInterval * 1000,
+          );
+        }
+      }
+
+      /**
+       * Writes the notification to the response.
+       * (If the heartbeat strategy is eager, it is written after the
+       * notification, to prevent clients like Firefox from buffering it.)
+       */
+      function writeNotification(notification, last, eventID) {
+        if (ended) return;
+        enqueue(format.notification(notification, eventID));
+        if (ended) return;
+        if (!last && heartbeat.eager) {
+          writeHeartbeat();
+        } else {
+          scheduleHeartbeat();
+        }
+      }
+
+      /**
+       * The reason the server ended the stream, if it did.
+       */
+      let endReason;
+
+      /**
+       * Generates the final notification stating the `reason` the stream
+       * ended, along with any other `fields`.
+       */
+      function endNotification(reason, fields) {
+        return generateEndNotification?.(negotiatedEvents, {
+          reason,
+          subscription: subscriptionID,
+          ...fields,
+        });
+      }
+
+      /**
+       * Ends the stream after the last event on the path, stating that the
+       * resource was deleted, or moved to a new location.
+       */
+      function writeLastEnd({ movedTo } = {}) {
+        if (movedTo) {
+          writeEnd("moved", endNotification("moved", { location: movedTo }));
+        } else {
+          writeEnd("deleted");
+        }
+      }
+
+      /**
+       * Writes the end of the response.
+       * It writes a final notification stating the `reason` the stream ended
+       * (unless one is given), the closing boundary for the notifications
+       * body (if any) and ends the notifications stream, which in turn ends
+       * the response. The final notification is written even if the queue is
+       * full.
+       */
+      function writeEnd(reason, notification = endNotification(reason)) {
+        if (ended) return;
+        ended = true;
+        endReason = reason;
+        clearTimeout(heartbeatID);
+        clearTimeout(warningID);
+        if (notification) {
+          queue.push(format.notification(notification));
+        }
+        queue.push(format.end(), null);
+        drain();
+      }
+
+      /**
+       * Reports a failure of the response body stream. Since the response
+       * cannot be completed, the connection is destroyed.
+       */
+      function failBody(error) {
+        if (endReason === "error") return;
+        debug(`Response body stream on ${path} failed`, error);
+        fail({
+          status: 500,
+          reason: "body-failed",
+          detail: `The response body failed: ${error?.message ?? error}`,
+          cause: error,
+        });
+        ended = true;
+        endReason = "error";
+        res.destroy();
+      }
+
+      /**
+       * The pending asynchronous authorizations, chained so that notifications
+       * are delivered in order.
+       */
+      let authorizing;
+
+      /**
+       * Runs a step after the pending authorizations, if any.
+       */
+      function inSequence(step) {
+        const result = authorizing ? authorizing.then(step) : step();
+        if (typeof result?.then === "function") {
+          authorizing = result;
+          result.then(() => {
+            if (authorizing === result) authorizing = undefined;
+          });
+        }
+      }
+
+      /**
+       * Delivers the notification, if the `authorize` hook allows it.
+       * The hook may return (a promise of) `true` to deliver the notification,
+       * `false` to suppress it, or `{ revoke: true, notification }` to end the
+       * stream with an optional final notification.
+       */
+      function authorizeNotification(notification, last, eventID) {
+        if (!authorize) {
+          return writeNotification(notification, last, eventID);
+        }
+
+        function deliver(result) {
+          if (result === true) {
+            writeNotification(notification, last, eventID);
+          } else if (result?.revoke) {
+            debug(`Access to notifications on ${path} revoked`);
+            writeEnd("revoked", result.notification || undefined);
+          } else {
+            debug(`Notification on ${path} suppressed`);
+          }
+        }
+
+        function denied(error) {
+          debug(`Notification on ${path} not authorized`, error);
+        }
+
+        const context = {
+          path: connection.path,
+          negotiatedFields: negotiatedEvents,
+          notification,
+          eventID,
+          req,
+          res,
+        };
+
+        inSequence(() => {
+          if (ended) return;
+          const [error, result] = useTry(() => authorize(context));
+          if (error) {
+            denied(error);
+          } else if (typeof result?.then === "function") {
+            return result.then(deliver, denied);
+          } else {
+            deliver(result);
+          }
+        });
+      }
+
+      // remove the `vary` field, if it exists
+      delete negotiatedEvents.vary;
+
+      // Add URL to subscription list
+      const removeHandler = subscribe({
+        path,
+        negotiatedFields: negotiatedEvents,
+        handler: authorizeNotification,
+        endHandler: (end) => inSequence(() => writeLastEnd(end)),
+        moveHandler: (to) => {
+          debug(`Subscription ${subscriptionID} moved from ${path} to ${to}`);
+          connection.path = to;
+        },
+        expires,
+        ...(acceptedFilters.length && { filter: filterEvent }),
+      });
+
+      /**
+       * Allows the instance to end this stream on shutdown.
+       */
+      let finish;
+      const connection = {
+        id: subscriptionID,
+        path,
+        renew(requested) {
+          if (ended) return;
+          setExpiry(durationOf(requested));
+          engine.renew({ handler: authorizeNotification, expires });
+          debug(`Subscription ${subscriptionID} on ${connection.path} renewed`);
+          return expires;
+        },
+        close(notification) {
+          writeEnd("shutdown", notification || undefined);
+        },
+        destroy() {
+          res.destroy();
+        },
+        negotiatedFields: negotiatedEvents,
+        finished: new Promise((resolve) => {
+          finish = resolve;
+        }),
+      };
+      connections.add(connection);
+
+      // Start the heartbeat
+      if (heartbeat.eager) {
+        writeHeartbeat();
+      } else {
+        scheduleHeartbeat();
+      }
+
+      // Replay missed notifications ahead of the live ones
+      missedEvents?.forEach((event) => {
+        const { generateNotification, lastEvent, eventID } = event;
+        const notification =
+          filterEvent({ ...event, subscribedPath: path }) &&
+          generateNotification(negotiatedEvents);
+        if (notification) {
+          authorizeNotification(notification, lastEvent, eventID);
+        }
+        if (lastEvent) {
+          const { method, location } = event.data ?? {};
+          inSequence(() =>
+            writeLastEnd(method === "MOVE" ? { movedTo: location } : {}),
+          );
+        }
+      });
+
+      /**
+       * Callback function to handle disconnection.
+       */
+      function disconnected(cause) {
+        if (!connected) return;
+
+        debug(`Connection closed on ${path} from ${cause} event`);
+
+        // Mark Disconnection
+        connected = false;
+        // Remove the handlers
+        removeHandler({ reason: endReason ?? "disconnected" });
+        // Release the timeouts
+        clearTimeout(timeoutID);
+        clearTimeout(warningID);
+        clearTimeout(heartbeatID);
+        clearTimeout(evictionID);
+        // Release the compressor
+        compressor?.destroy();
+        // Release the connection
+        connections.delete(connection);
+        finish();
+      }
+
+      setEventsHeader(
+        Object.assign(eventsHeader, modifyEventsHeader(negotiatedEvents)),
+      );
+
+      /**
+       * The ETag of the representation, from the response or its headers.
+       */
+      const eTag =
+        res.getHeader("ETag") ??
+        Object.entries(responseHeaders).find(
+          ([header]) => header.toLowerCase() === "etag",
+        )?.[1];
+
+      const shouldSkipBody =
+        responseBody &&
+        (reqLastEventID === "*" ||
+          (res.lastEventID && reqLastEventID === res.lastEventID) ||
+          !!missedEvents ||
+          matchesETag(req.headers["if-none-match"], eTag));
+
+      if (responseBody) {
+        if (reqLastEventID) {
+          res.setHeader(
+            "Vary",
+            appendToHeader(res.getHeader("Vary"), "Last-Event-ID"),
+          );
+        }
+      }
 
-    if (responseBody) {
-      if (reqLastEventID) {
+      res.setHeader("Content-Type", format.contentType);
+
+      /**
+       * The content-coding of the response, if compression is enabled and the
+       * client accepts one of the encodings.
+       */
+      const encoding =
+        compression &&
+        negotiateEncoding(
+          req.headers["accept-encoding"],
+          compression === true ? undefined : compression,
+        );
+
+      if (compression) {
         res.setHeader(
           "Vary",
-          appendToHeader(res.getHeader("Vary"), "Last-Event-ID"),
+          appendToHeader(res.getHeader("Vary"), "Accept-Encoding"),
         );
       }
+
+      /**
+       * A compressor that is flushed after every notification and heartbeat.
+       */
+      const compressor = encoding ? createCompressor(encoding) : undefined;
+
+      if (compressor) {
+        res.setHeader("Content-Encoding", encoding);
+        compressor.output.pipe(res);
+      }
+
+      /**
+       * The stream the response is written to.
+       */
+      const output = compressor?.input ?? res;
+
+      // Event streams only carry notifications
+      if (eventStream) {
+        res.setHeader("Cache-Control", "no-cache");
+        res.flushHeaders();
+        notifications.pipe(output);
+        notifications.resume();
+        return;
+      }
+
+      output.write(format.head(responseHeaders));
+
+      const postResponse = format.separator;
+
+      if (shouldSkipBody) {
+        output.write(postResponse);
+        notifications.pipe(output);
+        notifications.resume();
+      } else {
+        if (isBodyStream) {
+          responseBody
+            .on("error", failBody)
+            .pipe(appendStream(postResponse))
+            .pipe(mergeStream(notifications), { end: false })
+            .on("error", failBody)
+            .pipe(output);
+        } else {
+          output.write(responseBody);
+          output.write(postResponse);
+          notifications.pipe(output);
+          notifications.resume();
+        }
+      }
     }
 
-    // Add to the Vary header only if the server defines it for the URL
-    mixedBoundary = cryptoRandomString({ length: 20, type: "base64" });
-    res.setHeader(
-      "Content-Type",
-      `multipart/mixed; boundary="${mixedBoundary}"`,
-    );
-    res.write(`--${mixedBoundary}\r\n`);
-    // Write response headers in first part
-    for (const header in responseHeaders) {
-      res.write(`${header}: ${responseHeaders[header]}\r\n`);
+    /**
+     * Allows the middleware consumer to renew a subscription on the path with
+     * a request carrying its identifier as the `subscription` event-field,
+     * and optionally a new `duration`, in the `Accept-Events` header.
+     * On success, the `Events` header of the response carries the new time
+     * the subscription expires.
+     */
+    function renewSubscription({ params: requestedEvents = new Map() } = {}) {
+      // Do not extend subscriptions when shutting down
+      if (closing) {
+        debug("Not renewing subscriptions, the server is shutting down");
+        return fail({
+          status: 503,
+          reason: "shutting-down",
+          detail: "The server is not renewing subscriptions",
+        });
+      }
+
+      const connection = findConnection(requestedEvents.get("subscription"));
+      const expires =
+        connection?.path === path &&
+        connection.renew(requestedEvents.get("duration"));
+
+      if (!expires) {
+        debug(`No active subscription on ${path} to renew`);
+        return fail({
+          status: 404,
+          reason: "no-subscription",
+          detail: "No active subscription on the path to renew",
+        });
+      }
+
+      setEventsHeader({
+        protocol: "prep",
+        status: 200,
+        subscription: connection.id,
+        expires: expires.toUTCString(),
+      });
     }
-    res.write("\r\n"); // Empty line to separate headers
-
-    const postResponse = `${dedent`
-        \n--${mixedBoundary}
-        Content-Type: multipart/digest; boundary="${digestBoundary}"\n
-      `.replace(/\n/g, "\r\n")}${boundary}`;
-
-    if (shouldSkipBody) {
-      res.write(postResponse);
-      notifications.pipe(res);
-      notifications.resume();
-    } else {
-      if (isBodyStream) {
-        responseBody
-          .pipe(appendStream(postResponse))
-          .pipe(mergeStream(notifications), { end: false })
-          .pipe(res);
-      } else {
-        res.write(responseBody);
-        res.write(postResponse);
-        notifications.pipe(res);
-        notifications.resume();
+
+    /**
+     * The data describing the event for the default notification, with
+     * defaults from the request and response.
+     */
+    function notificationData({
+      date = responseDate(res),
+      method = req.method,
+      eventID = res.getHeader("Event-ID"),
+      location = res.getHeader("Location"),
+      ...params
+    } = {}) {
+      return eventData({ date, method, eventID, location, ...params });
+    }
+
+    /**
+     * The default Notification to send.
+     * Given the negotiated fields, it uses the template for the negotiated
+     * content-type, otherwise the `message/rfc822` template. Given the
+     * `context` of the notification, an event on a descendant of the
+     * subscribed path identifies it.
+     */
+    function defaultNotification(params, negotiatedFields, context) {
+      return notificationTemplate(negotiatedFields, {
+        ...notificationData(params),
+        ...context,
+      });
+    }
+
+    /**
+     * Allows the middleware consumer to initiate a notification.
+     * The `data` describing the event is used to generate the default
+     * notification for subscribers in other processes and the `eventID`
+     * identifies the event in the engine history. Given the `previous` and
+     * `current` representations, the default notification includes a delta
+     * in the format negotiated by each subscriber. Triggers on the same path
+     * may be combined, if the instance is configured to `coalesce` them.
+     * A `MOVE` or `COPY` also notifies the subscribers of the `destination`
+     * (by default, from the `Destination` header of the request).
+     */
+    function triggerNotification({
+      path: eventPath = path,
+      lastEvent,
+      destination = destinationPath(req),
+      migrate = migrateSubscriptions,
+      ...options
+    } = {}) {
+      if (
+        TRANSFER_METHODS.includes(method) &&
+        eventPath === path &&
+        destination &&
+        destination !== path
+      ) {
+        return transferTrigger({
+          path,
+          destination,
+          moved: method === "MOVE",
+          migrate,
+          options: { ...options, eTag: options.eTag ?? res.getHeader("ETag") },
+          send: sendTrigger,
+        });
       }
+      lastEvent = lastEvent ?? (eventPath === path && method === "DELETE");
+      coalesceTrigger(eventPath, {
+        options: { path: eventPath, lastEvent, ...options },
+        send: sendTrigger,
+      });
     }
-  }
 
-  /**
-   * The default Notification to send
-   */
-  function defaultNotification({
-    // Date is a hack since nodejs does not seem to provide access to send date.
-    date = res._header.match(/^Date: (.*?)$/m)?.[1] || new Date().toUTCString(),
-    method = req.method,
-    eTag,
-    eventID = res.getHeader("Event-ID"),
-    location = res.getHeader("Location"),
-    delta,
-  } = {}) {
-    return `\r\n${rfc822Template({
-      date,
-      method,
-      ...(eTag && { eTag }),
-      ...(eventID && { eventID }),
-      ...(location && { location }),
-      ...(delta && { delta }),
-    })}`;
+    /**
+     * Notifies the subscribers of the path of the event.
+     * Notifications on the path of the request carry the ETag of the response.
+     * If the resource `movedTo` another path, its subscriptions can `migrate`.
+     */
+    function sendTrigger({
+      path: eventPath,
+      previous,
+      current,
+      location,
+      eTag = eventPath === path ? res.getHeader("ETag") : undefined,
+      generateNotification = (negotiatedFields, context) =>
+        defaultNotification(
+          { location, previous, current, eTag },
+          negotiatedFields,
+          context,
+        ),
+      lastEvent,
+      eventID = eventPath === path ? res.getHeader("Event-ID") : undefined,
+      data,
+      movedTo,
+      migrate,
+    }) {
+      process.nextTick(() =>
+        notify({
+          path: eventPath,
+          generateNotification,
+          lastEvent,
+          ...(eventID && { eventID }),
+          data: data ?? notificationData({ previous, current, eTag, location }),
+          ...(movedTo && { movedTo, migrate }),
+        }),
+      );
+    }
+
+    res.events ??= {};
+    res.events.prep = {
+      configure: configureNotifications,
+      send: sendResponseWithNotification,
+      renew: renewSubscription,
+      trigger: triggerNotification,
+      defaultNotification,
+      eventStream,
+    };
+
+    return next && next();
   }
 
   /**
-   * Allows the middleware consumer to initiate a notification.
+   * Notifies the subscribers of the path of an event triggered outside of a
+   * request, with the default notification generated from its data.
    */
-  function triggerNotification({
-    path = req.path,
-    generateNotification = () => defaultNotification(),
+  function notifyEvent({
+    path,
+    generateNotification,
     lastEvent,
-  } = {}) {
-    lastEvent = lastEvent ?? (path === req.path && method === "DELETE");
+    eventID,
+    data,
+    movedTo,
+    migrate,
+    ...params
+  }) {
+    data ??= eventData({ eventID, ...params });
+    generateNotification ??= (negotiatedFields, context) =>
+      notificationTemplate(negotiatedFields, { ...data, ...context });
     process.nextTick(() =>
       notify({
         path,
         generateNotification,
         lastEvent,
+        ...(eventID && { eventID }),
+        data,
+        ...(movedTo && { movedTo, migrate }),
       }),
     );
   }
 
-  res.events ??= {};
-  res.events.prep = {
-    configure: configureNotifications,
-    send: sendResponseWithNotification,
-    trigger: triggerNotification,
-    defaultNotification,
-  };
+  /**
+   * Triggers a notification outside of a request, for example, from a
+   * background job or a change feed. Without a request to derive them from,
+   * the `path` and `method` of the event must be given, along with its
+   * `eventID`, `eTag`, `location`, `date` or representations, if available.
+   * As with triggers in a request, a custom function to `generateNotification`
+   * and the `data` describing the event can also be given. A `MOVE` or `COPY`
+   * also notifies the subscribers of its `destination` path.
+   */
+  function trigger({
+    path,
+    method,
+    lastEvent,
+    destination,
+    migrate = migrateSubscriptions,
+    ...options
+  } = {}) {
+    if (!path || !method) {
+      debug("Cannot trigger a notification without a path and a method");
+      return;
+    }
+    if (
+      TRANSFER_METHODS.includes(method) &&
+      destination &&
+      destination !== path
+    ) {
+      return transferTrigger({
+        path,
+        destination,
+        moved: method === "MOVE",
+        migrate,
+        options: { method, ...options },
+        send: notifyEvent,
+      });
+    }
+    lastEvent = lastEvent ?? method === "DELETE";
+    coalesceTrigger(path, {
+      options: { path, method, lastEvent, ...options },
+      send: notifyEvent,
+    });
+  }
+
+  /**
+   * Renews an active subscription, given its identifier, for the requested
+   * `duration` in seconds (or the default duration), outside of a request.
+   * Returns the new time the subscription expires, if it is active.
+   */
+  function renew({ subscription, duration: requested } = {}) {
+    if (closing) {
+      debug("Not renewing subscriptions, the server is shutting down");
+      return;
+    }
+    const expires = findConnection(subscription)?.renew(requested);
+    if (!expires) {
+      debug(`No active subscription ${subscription} to renew`);
+    }
+    return expires;
+  }
+
+  /**
+   * Stops accepting new subscriptions and resolves once all open streams
+   * have finished on their own.
+   */
+  function drain() {
+    closing = true;
+    return Promise.all([...connections].map(({ finished }) => finished));
+  }
 
-  return next && next();
+  /**
+   * Stops accepting new subscriptions and ends all open streams, with a final
+   * notification, if a function to `generateNotification` is provided.
+   * It resolves once all responses have finished. Responses that have not
+   * finished within `timeout` seconds (if specified) are destroyed.
+   * Triggers waiting to be coalesced are sent at once.
+   */
+  function close({ generateNotification, timeout } = {}) {
+    closing = true;
+    flushWindows();
+    debug(`Closing ${connections.size} notification streams`);
+
+    const timeoutID =
+      timeout > 0 &&
+      setTimeout(() => {
+        connections.forEach((connection) => connection.destroy());
+      }, timeout * 1000);
+
+    const finished = [...connections].map((connection) => {
+      connection.close(generateNotification?.(connection.negotiatedFields));
+      return connection.finished;
+    });
+
+    return Promise.all(finished).finally(() => clearTimeout(timeoutID));
+  }
+
+  prepMiddleware.trigger = trigger;
+  prepMiddleware.renew = renew;
+  prepMiddleware.close = close;
+  prepMiddleware.drain = drain;
+  prepMiddleware.engine = engine;
+
+  return prepMiddleware;
 }
 
+/**
+ * An instance of the PREP middleware with the default configuration
+ * (as modified by environment variables).
+ */
+const prepMiddleware = createPrep();
+
 export default prepMiddleware;
+export { createPrep };
@@ -0,0 +1,155 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+import { readFileSync } from "node:fs";
+import { rename, writeFile } from "node:fs/promises";
+
+import Debug from "debug";
+
+const debug = Debug("prep:store");
+
+/**
+ * A store keeps the last event ID for each URL path. A store is an object with
+ * three functions, each of which may return a promise:
+ *  + `get(key)` - retrieves the value for a key.
+ *  + `set(key, value, { ttl })` - stores a value for a key, optionally
+ *    expiring after `ttl` seconds.
+ *  + `delete(key)` - removes the value for a key.
+ */
+
+/**
+ * Keeps entries in a Map in the order of their last use, evicting the least
+ * recently used entries beyond `max` entries.
+ */
+function LRU({ max = 10000, ttl: defaultTTL, entries = [] } = {}) {
+  const cache = new Map(entries);
+
+  function get(key) {
+    const entry = cache.get(key);
+    if (!entry) return;
+
+    cache.delete(key);
+    if (entry.expires && entry.expires <= Date.now()) return;
+
+    cache.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value, { ttl = defaultTTL } = {}) {
+    cache.delete(key);
+    cache.set(key, {
+      value,
+      ...(ttl && { expires: Date.now() + ttl * 1000 }),
+    });
+
+    if (cache.size > max) {
+      const [oldest] = cache.keys();
+      debug(`evicting last event ID for ${oldest}`);
+      cache.delete(oldest);
+    }
+  }
+
+  function remove(key) {
+    cache.delete(key);
+  }
+
+  function toJSON() {
+    const now = Date.now();
+    return [...cache].filter(([, { expires }]) => !expires || expires > now);
+  }
+
+  return {
+    get,
+    set,
+    delete: remove,
+    toJSON,
+  };
+}
+
+/**
+ * An in-memory store that keeps the last event IDs for up to `max` recently
+ * used URL paths. Entries expire after `ttl` seconds, if specified.
+ */
+function memoryStore({ max, ttl } = {}) {
+  const { get, set, delete: remove } = LRU({ max, ttl });
+
+  return Object.freeze({
+    get,
+    set,
+    delete: remove,
+  });
+}
+
+/**
+ * A store that persists the last event IDs to a JSON `file`, so that they
+ * survive a restart. The file is read once when the store is created and
+ * written after every change. Otherwise, it behaves like the memory store.
+ * Since it cannot work without one, it throws if no `file` is given.
+ */
+function fileStore({ file, max, ttl } = {}) {
+  if (!file) {
+    throw new TypeError("A file is required for the file store");
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(readFileSync(file, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      debug(`Failed to read last event IDs from ${file}`, error);
+    }
+  }
+
+  const cache = LRU({ max, ttl, entries });
+
+  /**
+   * The file writes in progress, chained so that they do not overlap.
+   */
+  let writing = Promise.resolve();
+
+  /**
+   * A write that is waiting for the current write to finish.
+   */
+  let pending;
+
+  /**
+   * Writes the store to a temporary file and renames it to replace the file,
+   * coalescing changes made while a write is in progress.
+   */
+  function persist() {
+    pending ??= writing = writing.then(() => {
+      pending = undefined;
+      const temp = `${file}.${process.pid}.tmp`;
+      return writeFile(temp, JSON.stringify(cache))
+        .then(() => rename(temp, file))
+        .catch((error) => {
+          debug(`Failed to write last event IDs to ${file}`, error);
+        });
+    });
+    return pending;
+  }
+
+  function set(key, value, options) {
+    cache.set(key, value, options);
+    return persist();
+  }
+
+  function remove(key) {
+    cache.delete(key);
+    return persist();
+  }
+
+  return Object.freeze({
+    get: cache.get,
+    set,
+    delete: remove,
+  });
+}
+
+export { memoryStore as memory, fileStore as file };
@@ -7,6 +7,7 @@
  *
  *  SPDX-License-Identifier: MPL-2.0
  */
+import { generate as generateDelta } from "./deltas.js";
 
 /**
  * Capitalizes kebab-case to Train-Case for HTTP header fields.
@@ -26,7 +27,10 @@ function headerTemplate(negotiatedFields) {
       .toLowerCase();
     if (k.startsWith("content-")) {
       if (k !== "content-type" || v !== "message/rfc822") {
-        return `${header}${capitalizeKebabCase(k)}: ${v}\r\n`;
+        // Include the negotiated charset of the content-type, if any
+        const charset = k === "content-type" && value[1]?.get?.("charset");
+        const params = charset ? `; charset=${charset}`.toLowerCase() : "";
+        return `${header}${capitalizeKebabCase(k)}: ${v}${params}\r\n`;
       }
     }
     return header;
@@ -37,7 +41,15 @@ function headerTemplate(negotiatedFields) {
  * A template that generates an RFC822 formatted notification using semantics
  * defined in the PREP specification.
  */
-function rfc822Template({ method, date, eTag, eventID, location, delta }) {
+function rfc822Template({
+  method,
+  date,
+  eTag,
+  eventID,
+  location,
+  resource,
+  delta,
+}) {
   let msg = `Method: ${method}\r
 Date: ${date}\r
 `;
@@ -57,6 +69,11 @@ Date: ${date}\r
     msg = `${msg}Location: ${location}\r\n`;
   }
 
+  // Add `Resource`, if the event is on a descendant of the subscribed path
+  if (resource) {
+    msg = `${msg}Resource: ${resource}\r\n`;
+  }
+
   // Add delta, if requested
   if (delta && method.startsWith("P")) {
     msg = `${msg}\r\n${delta}`;
@@ -67,4 +84,197 @@ Date: ${date}\r
   return msg;
 }
 
-export { rfc822Template as rfc822, headerTemplate as header };
+/**
+ * Checks if a media type is JSON or has the `+json` structured syntax suffix.
+ */
+function isJSONType(type) {
+  return /(?:^application\/|\+)json$/i.test(`${type ?? ""}`);
+}
+
+/**
+ * A template that generates a JSON formatted notification with the same
+ * semantics as the RFC822 template. A delta generated in a JSON format, such
+ * as JSON Patch, is embedded as a value, rather than a string.
+ */
+function jsonTemplate({
+  method,
+  date,
+  eTag,
+  eventID,
+  location,
+  resource,
+  delta,
+  deltaType,
+}) {
+  return JSON.stringify({
+    method,
+    date,
+    ...(eventID && { eventID }),
+    ...(eTag && { eTag }),
+    ...(location && { location }),
+    ...(resource && { resource }),
+    ...(delta &&
+      method.startsWith("P") && {
+        delta: isJSONType(deltaType) ? JSON.parse(delta) : delta,
+      }),
+  });
+}
+
+/**
+ * The JSON-LD context of Activity Streams 2.0.
+ */
+const ACTIVITY_STREAMS_CONTEXT = "https://www.w3.org/ns/activitystreams";
+
+/**
+ * Maps HTTP methods to Activity Streams activity types.
+ */
+const ACTIVITY_TYPES = {
+  POST: "Add",
+  DELETE: "Delete",
+  MOVE: "Move",
+};
+
+/**
+ * Formats a date as an ISO 8601 timestamp, falling back to the current time,
+ * if the date cannot be parsed.
+ */
+function isoDate(date) {
+  const time = new Date(date);
+  return (isNaN(time.getTime()) ? new Date() : time).toISOString();
+}
+
+/**
+ * A template that generates an Activity Streams 2.0 formatted notification,
+ * identified by the event ID. The affected resource, as the `resource`, the
+ * `location` or the `path` of the event, is the object of the activity and
+ * its ETag is the `state`, as in Solid Notifications. The `location` of an
+ * event on a descendant `resource`, such as the destination it was moved to,
+ * is the `target`. A delta is the `content` of the activity, with the delta
+ * format, if known, as its `mediaType`.
+ */
+function activityStreamsTemplate({
+  method,
+  date,
+  eTag,
+  eventID,
+  location,
+  resource,
+  path,
+  delta,
+  deltaType,
+}) {
+  const object = resource ?? location ?? path;
+  return JSON.stringify({
+    "@context": ACTIVITY_STREAMS_CONTEXT,
+    ...(eventID && { id: eventID }),
+    type: ACTIVITY_TYPES[method] ?? "Update",
+    published: isoDate(date),
+    ...(object && { object }),
+    ...(resource && location && { target: location }),
+    ...(eTag && { state: eTag }),
+    ...(delta &&
+      method.startsWith("P") && {
+        content: delta,
+        ...(deltaType && { mediaType: `${deltaType}` }),
+      }),
+  });
+}
+
+/**
+ * The templates for each notification content-type.
+ */
+const TEMPLATES = {
+  "message/rfc822": rfc822Template,
+  "application/json": jsonTemplate,
+  "application/ld+json": activityStreamsTemplate,
+};
+
+/**
+ * Selects the template matching the content-type in the negotiated fields,
+ * defaulting to the RFC822 template.
+ */
+function selectTemplate(negotiatedFields) {
+  const contentType = negotiatedFields?.["content-type"];
+  const type = (Array.isArray(contentType) ? contentType[0] : contentType)
+    ?.toString()
+    .toLowerCase();
+  return TEMPLATES[type] ?? rfc822Template;
+}
+
+/**
+ * A template that generates a complete notification, with part headers and
+ * a body in the format matching the negotiated fields.
+ * Unless a `delta` is given, it is generated in the negotiated delta format
+ * from the `previous` and `current` representations, if available.
+ * Given the `path` of the event and the `subscribedPath`, an event on a
+ * descendant of a subscribed container identifies it as the `resource`.
+ * Besides the `path`, templates are given the `deltaType` of a generated
+ * delta.
+ */
+function notificationTemplate(
+  negotiatedFields,
+  { previous, current, path, subscribedPath, ...params } = {},
+) {
+  if (subscribedPath !== undefined && path !== subscribedPath) {
+    params.resource = path;
+  }
+  const header = negotiatedFields ? headerTemplate(negotiatedFields) : "";
+  const template = selectTemplate(negotiatedFields);
+  const deltaType = negotiatedFields?.["content-type"]?.[1]?.get?.("delta");
+  const delta =
+    params.delta ?? generateDelta(deltaType, { previous, current, path });
+  return `${header}\r\n${template({
+    ...params,
+    path,
+    // The format of a generated delta is known
+    ...(delta && { delta, ...(!params.delta && { deltaType }) }),
+  })}`;
+}
+
+/**
+ * A template that generates a complete notification about the status of the
+ * subscription itself, rather than an event on the resource, for example,
+ * that it is `expiring`. Any other `fields`, such as the time it `expires`,
+ * are included as header fields in RFC822 or as members in JSON formats. In
+ * Activity Streams, it is an `Announce` activity with these members.
+ */
+function statusTemplate(
+  negotiatedFields,
+  { status, date = new Date().toUTCString(), ...fields } = {},
+) {
+  const header = negotiatedFields ? headerTemplate(negotiatedFields) : "";
+  const contentType = negotiatedFields?.["content-type"];
+  const type = `${(Array.isArray(contentType) ? contentType[0] : contentType) ?? ""}`;
+  const entries = Object.entries({ status, date, ...fields }).filter(
+    ([, value]) => value !== undefined,
+  );
+
+  // An Activity Streams announcement, with the fields as its members
+  if (type.toLowerCase() === "application/ld+json") {
+    return `${header}\r\n${JSON.stringify({
+      "@context": ACTIVITY_STREAMS_CONTEXT,
+      type: "Announce",
+      published: isoDate(date),
+      ...Object.fromEntries(entries.filter(([key]) => key !== "date")),
+    })}`;
+  }
+
+  if (type.toLowerCase().endsWith("json")) {
+    return `${header}\r\n${JSON.stringify(Object.fromEntries(entries))}`;
+  }
+
+  const msg = entries
+    .map(([key, value]) => `${capitalizeKebabCase(key)}: ${value}\r\n`)
+    .join("");
+  return `${header}\r\n${msg}\r\n`;
+}
+
+export {
+  rfc822Template as rfc822,
+  jsonTemplate as json,
+  activityStreamsTemplate as activityStreams,
+  headerTemplate as header,
+  selectTemplate as select,
+  notificationTemplate as notification,
+  statusTemplate as status,
+};
@@ -0,0 +1,107 @@
+/*!
+ *  Copyright (c) 2024, Rahul Gupta and Express PREP contributors.
+ *
+ *  This Source Code Form is subject to the terms of the Mozilla Public
+ *  License, v. 2.0. If a copy of the MPL was not distributed with this
+ *  file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ *  SPDX-License-Identifier: MPL-2.0
+ */
+import { EventEmitter } from "node:events";
+import cluster from "node:cluster";
+
+import Debug from "debug";
+
+const debug = Debug("prep:transport");
+
+/**
+ * A transport carries notification messages between Events Engines,
+ * which may be running in different processes. A transport adapter is an
+ * object with two functions:
+ *  + `publish(message)` - sends a message to every subscribed engine.
+ *    It may return a promise.
+ *  + `subscribe(listener)` - calls `listener(message)` for each published
+ *    message and returns a function that removes the listener.
+ *
+ * Messages are plain serializable objects. Adapters may deliver a message back
+ * to the process that published it, engines ignore their own messages.
+ */
+
+/**
+ * An in-memory transport that delivers messages to engines in the same
+ * process. Messages are cloned before delivery, so that it can stand in for a
+ * cross-process transport when testing.
+ */
+function memoryTransport() {
+  const emitter = new EventEmitter();
+
+  function publish(message) {
+    emitter.emit("message", structuredClone(message));
+  }
+
+  function subscribe(listener) {
+    emitter.on("message", listener);
+    return () => {
+      emitter.off("message", listener);
+    };
+  }
+
+  return Object.freeze({
+    publish,
+    subscribe,
+  });
+}
+
+/**
+ * A transport that delivers messages between the primary and worker processes
+ * of a `node:cluster`. Messages are sent by workers to the primary over IPC,
+ * which relays them to all the other workers.
+ *
+ * The transport must also be created in the primary process to set up the
+ * relay, using the same `channel` as the workers.
+ */
+function clusterTransport({ channel = "prep" } = {}) {
+  const type = `express-prep:${channel}`;
+  const local = memoryTransport();
+
+  /**
+   * Sends the message to every worker, except the one it came from.
+   */
+  function relay(message, source) {
+    for (const worker of Object.values(cluster.workers ?? {})) {
+      if (worker !== source && worker.isConnected()) {
+        worker.send({ type, message });
+      }
+    }
+  }
+
+  if (cluster.isPrimary) {
+    debug(`relaying messages on channel ${channel} in primary`);
+    cluster.on("message", (worker, envelope) => {
+      if (envelope?.type !== type) return;
+      relay(envelope.message, worker);
+      local.publish(envelope.message);
+    });
+  } else {
+    process.on("message", (envelope) => {
+      if (envelope?.type !== type) return;
+      local.publish(envelope.message);
+    });
+  }
+
+  function publish(message) {
+    if (cluster.isPrimary) {
+      relay(message);
+    } else {
+      process.send({ type, message });
+    }
+    local.publish(message);
+  }
+
+  return Object.freeze({
+    publish,
+    subscribe: local.subscribe,
+  });
+}
+
+export { memoryTransport as memory, clusterTransport as cluster };